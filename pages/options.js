@@ -0,0 +1,91 @@
+(function (root) {
+  const ns = root.ReviewGuesser;
+
+  const form = document.getElementById("options");
+  const status = document.getElementById("status");
+
+  let statusTimer = null;
+
+  function showStatus(text) {
+    status.textContent = text;
+    clearTimeout(statusTimer);
+    statusTimer = setTimeout(() => (status.textContent = ""), 1500);
+  }
+
+  /**
+   * Fill the form from a settings object.
+   * Field names map onto settings keys; "hide.x" addresses settings.hide.x.
+   * Fields marked data-lines hold a list, one item per line.
+   */
+  function fillForm(settings) {
+    [...form.elements].forEach((el) => {
+      if (!el.name) return;
+      const [key, sub] = el.name.split(".");
+      const value = sub ? settings[key][sub] : settings[key];
+
+      if (el.type === "checkbox") el.checked = !!value;
+      else if ("lines" in el.dataset) el.value = value.join("\n");
+      else el.value = String(value);
+    });
+  }
+
+  /**
+   * Read the form back into a (partial) settings object.
+   */
+  function readForm() {
+    const patch = {};
+    [...form.elements].forEach((el) => {
+      if (!el.name) return;
+      const [key, sub] = el.name.split(".");
+      const value =
+        el.type === "checkbox"
+          ? el.checked
+          : el.type === "number"
+          ? Number(el.value)
+          : "lines" in el.dataset
+          ? el.value.split("\n").map((t) => t.trim()).filter(Boolean)
+          : el.value;
+
+      if (sub) (patch[key] = patch[key] || {})[sub] = value;
+      else patch[key] = value;
+    });
+    return patch;
+  }
+
+  form.addEventListener("change", async () => {
+    const saved = await ns.saveSettings(readForm());
+    // Re-fill so clamped values (e.g. answer count) show what was stored
+    fillForm(saved);
+    showStatus("Saved");
+  });
+
+  document.getElementById("reset").addEventListener("click", async () => {
+    fillForm(await ns.resetSettings());
+    showStatus("Defaults restored");
+  });
+
+  // Region-locked and removed games the Next buttons skip
+  const unavailableCount = document.getElementById("unavailable-count");
+
+  function showUnavailableCount() {
+    const n = ns.getUnavailableAppIds().size;
+    unavailableCount.textContent =
+      n === 1 ? "1 game remembered." : `${n} games remembered.`;
+  }
+
+  document
+    .getElementById("forget-unavailable")
+    .addEventListener("click", async () => {
+      await ns.clearUnavailableApps();
+      showUnavailableCount();
+    });
+
+  ns.loadUnavailableApps().then(showUnavailableCount);
+
+  ns.onSettingsChanged(fillForm);
+  ns.loadSettings().then((settings) => {
+    fillForm(settings);
+    // Loaded so that switching sync on uploads the history from here
+    ns.loadSeenGames();
+  });
+})(window);
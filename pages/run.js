@@ -0,0 +1,128 @@
+(function (root) {
+  const ns = root.ReviewGuesser;
+
+  const QUESTION_LABELS = { reviews: "Review count", year: "Release year" };
+
+  function el(tag, className, text) {
+    const e = document.createElement(tag);
+    if (className) e.className = className;
+    if (text != null) e.textContent = text;
+    return e;
+  }
+
+  function storeLink(appId) {
+    const a = el("a", null, `App ${appId}`);
+    a.href = `https://store.steampowered.com/app/${appId}/`;
+    a.target = "_blank";
+    a.rel = "noopener";
+    return a;
+  }
+
+  // Years are shown as they are, counts with separators. Each game is
+  // formatted by its own question: a year run asks for the review count
+  // when a game has no known year.
+  function formatAnswer(run, game, value) {
+    if (value == null) return "–";
+    const type = game.questionType || run.questionType;
+    return type === "year" ? String(value) : ns.formatNum(value);
+  }
+
+  function renderActive(run) {
+    const box = document.getElementById("active");
+    box.hidden = !run;
+    if (!run) return;
+
+    const { correct } = ns.summarizeRun(run);
+    document.getElementById("active-text").textContent =
+      `Run in progress: ${run.games.length}/${run.length} games played, ` +
+      `${correct} correct.`;
+  }
+
+  function renderDetail(run) {
+    const box = document.getElementById("detail");
+    box.hidden = !run;
+    if (!run) return;
+
+    document.getElementById("detail-title").textContent =
+      `Run of ${new Date(run.finishedAt).toLocaleString()}`;
+
+    const { played, correct, points } = ns.summarizeRun(run);
+    const summary = document.getElementById("detail-summary");
+    summary.innerHTML = "";
+    [
+      ["Correct", `${correct} / ${played}`],
+      ["Points", ns.formatNum(points)],
+      ["Question", QUESTION_LABELS[run.questionType] || run.questionType],
+    ].forEach(([label, value]) => {
+      const card = el("div", "stat-card");
+      card.appendChild(el("div", "value", value));
+      card.appendChild(el("div", "label", label));
+      summary.appendChild(card);
+    });
+
+    const tbody = document.querySelector("#detail-games tbody");
+    tbody.innerHTML = "";
+    run.games.forEach((g, i) => {
+      const tr = document.createElement("tr");
+      tr.appendChild(el("td", null, String(i + 1)));
+      const game = el("td");
+      game.appendChild(storeLink(g.appId));
+      tr.appendChild(game);
+      tr.appendChild(
+        el("td", g.correct ? "correct" : "wrong", formatAnswer(run, g, g.picked))
+      );
+      tr.appendChild(el("td", null, formatAnswer(run, g, g.answer)));
+
+      const points = g.score != null ? String(Math.round(g.score * 100)) : "–";
+      tr.appendChild(el("td", null, points));
+      tbody.appendChild(tr);
+    });
+  }
+
+  function renderList(runs, selectedId) {
+    document.getElementById("list").hidden = !runs.length;
+
+    const tbody = document.querySelector("#runs tbody");
+    tbody.innerHTML = "";
+    runs.forEach((run) => {
+      const { played, correct, points } = ns.summarizeRun(run);
+      const tr = document.createElement("tr");
+      if (run.id === selectedId) tr.className = "selected";
+
+      const when = el("td");
+      const link = el("a", null, new Date(run.finishedAt).toLocaleString());
+      link.href = `?id=${encodeURIComponent(run.id)}`;
+      when.appendChild(link);
+      tr.appendChild(when);
+
+      tr.appendChild(
+        el("td", null, QUESTION_LABELS[run.questionType] || run.questionType)
+      );
+      tr.appendChild(el("td", null, `${correct} / ${played}`));
+      tr.appendChild(el("td", null, ns.formatNum(points)));
+      tbody.appendChild(tr);
+    });
+  }
+
+  async function render() {
+    const [active, runs] = await Promise.all([
+      ns.getActiveRun(),
+      ns.getSavedRuns(),
+    ]);
+
+    const id = new URLSearchParams(location.search).get("id");
+    const selected = runs.find((r) => r.id === id) || runs[0] || null;
+
+    document.getElementById("empty").hidden = runs.length > 0;
+    renderActive(active);
+    renderDetail(selected);
+    renderList(runs, selected && selected.id);
+  }
+
+  document.getElementById("abandon").addEventListener("click", async () => {
+    await ns.abandonRun();
+    render();
+  });
+
+  render();
+})(window);
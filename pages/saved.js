@@ -0,0 +1,122 @@
+(function (root) {
+  const ns = root.ReviewGuesser;
+
+  const STORE_LABELS = { steam: "Steam", gog: "GOG" };
+
+  const filters = document.getElementById("filters");
+
+  function el(tag, className, text) {
+    const e = document.createElement(tag);
+    if (className) e.className = className;
+    if (text != null) e.textContent = text;
+    return e;
+  }
+
+  function gameLink(b) {
+    const a = el("a", null, b.title || `App ${b.appId}`);
+    a.href = b.url || `https://store.steampowered.com/app/${b.appId}/`;
+    a.target = "_blank";
+    a.rel = "noopener";
+    return a;
+  }
+
+  // Years are shown as they are, counts with separators
+  function formatValue(result, value) {
+    if (value == null) return "–";
+    return result.questionType === "year" ? String(value) : ns.formatNum(value);
+  }
+
+  function resultCell(result) {
+    if (!result) return el("td", null, "–");
+    const mark = result.correct ? "✓" : "✗";
+    return el(
+      "td",
+      result.correct ? "correct" : "wrong",
+      `${mark} ${formatValue(result, result.picked)} ` +
+        `(answer ${formatValue(result, result.answer)})`
+    );
+  }
+
+  function matches(b, f) {
+    if (f.store && b.store !== f.store) return false;
+    if (f.result === "none" && b.result) return false;
+    if (f.result === "correct" && !(b.result && b.result.correct)) return false;
+    if (f.result === "wrong" && !(b.result && !b.result.correct)) return false;
+    if (f.text) {
+      const hay = `${b.title} ${b.note}`.toLowerCase();
+      if (!hay.includes(f.text.toLowerCase())) return false;
+    }
+    return true;
+  }
+
+  function readFilters() {
+    return {
+      store: filters.elements.store.value,
+      result: filters.elements.result.value,
+      text: filters.elements.text.value.trim(),
+    };
+  }
+
+  function noteInput(b) {
+    const input = el("input");
+    input.type = "text";
+    input.value = b.note || "";
+    input.maxLength = 500;
+    input.setAttribute("aria-label", `Note for ${b.title || b.appId}`);
+    input.addEventListener("change", () =>
+      ns.saveBookmark({
+        store: b.store,
+        appId: b.appId,
+        note: input.value.trim(),
+      })
+    );
+    return input;
+  }
+
+  function render() {
+    const all = ns.getBookmarks();
+    document.getElementById("empty").hidden = all.length > 0;
+    document.getElementById("list").hidden = !all.length;
+
+    const shown = all.filter((b) => matches(b, readFilters()));
+    document.getElementById("count").textContent =
+      shown.length === all.length
+        ? `${all.length} saved.`
+        : `${shown.length} of ${all.length} saved games shown.`;
+
+    const tbody = document.querySelector("#saved tbody");
+    tbody.innerHTML = "";
+    shown.forEach((b) => {
+      const tr = document.createElement("tr");
+
+      const game = el("td");
+      game.appendChild(gameLink(b));
+      game.appendChild(el("div", "hint", STORE_LABELS[b.store] || b.store));
+      tr.appendChild(game);
+
+      tr.appendChild(el("td", null, new Date(b.savedAt).toLocaleDateString()));
+      tr.appendChild(resultCell(b.result));
+
+      const note = el("td");
+      note.appendChild(noteInput(b));
+      tr.appendChild(note);
+
+      const actions = el("td");
+      const remove = el("button", null, "Remove");
+      remove.type = "button";
+      remove.addEventListener("click", async () => {
+        await ns.removeBookmark(b.store, b.appId);
+        render();
+      });
+      actions.appendChild(remove);
+      tr.appendChild(actions);
+
+      tbody.appendChild(tr);
+    });
+  }
+
+  filters.addEventListener("input", render);
+  filters.addEventListener("submit", (e) => e.preventDefault());
+
+  ns.loadBookmarks().then(render);
+})(window);
@@ -0,0 +1,88 @@
+(function (root) {
+  const ns = root.ReviewGuesser;
+
+  const pct = (v) => (v == null ? "–" : `${Math.round(v * 100)}%`);
+
+  function el(tag, className, text) {
+    const e = document.createElement(tag);
+    if (className) e.className = className;
+    if (text != null) e.textContent = text;
+    return e;
+  }
+
+  function renderSummary(stats) {
+    const box = document.getElementById("summary");
+    box.innerHTML = "";
+
+    [
+      ["Games played", ns.formatNum(stats.played)],
+      ["Accuracy", pct(stats.accuracy)],
+      ["Current streak", String(stats.currentStreak)],
+      ["Best streak", String(stats.bestStreak)],
+      ["Skipped", ns.formatNum(stats.skipped)],
+    ].forEach(([label, value]) => {
+      const card = el("div", "stat-card");
+      card.appendChild(el("div", "value", value));
+      card.appendChild(el("div", "label", label));
+      box.appendChild(card);
+    });
+  }
+
+  function renderWeeks(stats) {
+    const box = document.getElementById("weeks");
+    box.innerHTML = "";
+
+    if (!stats.byWeek.length) {
+      box.appendChild(el("p", "hint", "No dated guesses yet."));
+      return;
+    }
+
+    stats.byWeek.forEach((w) => {
+      const row = el("div", "bar-row");
+      row.appendChild(
+        el("div", null, `Week of ${new Date(w.weekStart).toLocaleDateString()}`)
+      );
+
+      const track = el("div", "bar-track");
+      const fill = el("div", "bar-fill");
+      fill.style.width = `${Math.round((w.accuracy || 0) * 100)}%`;
+      track.appendChild(fill);
+      row.appendChild(track);
+
+      row.appendChild(el("div", null, `${pct(w.accuracy)} of ${w.played}`));
+      box.appendChild(row);
+    });
+  }
+
+  function renderBuckets(stats) {
+    const tbody = document.querySelector("#buckets tbody");
+    tbody.innerHTML = "";
+
+    stats.byCount.forEach((b) => {
+      const tr = document.createElement("tr");
+      [b.label, b.played, b.correct, pct(b.accuracy)].forEach((v) =>
+        tr.appendChild(el("td", null, String(v)))
+      );
+      tbody.appendChild(tr);
+    });
+
+    const unknown = document.getElementById("unknown");
+    unknown.hidden = !stats.unknownCount;
+    unknown.textContent =
+      `${stats.unknownCount} older guesses were recorded before the true ` +
+      "count was stored and are not included in this table.";
+  }
+
+  async function render() {
+    await ns.loadSettings();
+    await ns.loadSeenGames();
+    const stats = ns.computeStats([...ns.getSeenGamesData().values()]);
+
+    document.getElementById("empty").hidden = stats.played + stats.skipped > 0;
+    renderSummary(stats);
+    renderWeeks(stats);
+    renderBuckets(stats);
+  }
+
+  render();
+})(window);
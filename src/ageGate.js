@@ -0,0 +1,144 @@
+(function (root) {
+  const ns = (root.ReviewGuesser = root.ReviewGuesser || {});
+
+  const getSettings = ns.getSettings;
+  const getSiteRules = ns.getSiteRules;
+  const markAppUnavailable = ns.markAppUnavailable;
+  const handleUnavailableApp = ns.handleUnavailableApp;
+  const getNavigationSource = ns.getNavigationSource;
+
+  // ---------------------------------------------------------------------------
+  // Steam's age check (/agecheck/app/<id>)
+  //
+  // Steam puts it in front of games with mature content. Depending on the
+  // "ageGate" setting we leave it to the user ("ask"), fill in the stored
+  // birthdate ("bypass"), or skip such games ("exclude"). Every gated id
+  // is remembered, so "exclude" also keeps them out of later picks. The
+  // Next buttons are shown on the page whatever the setting.
+  // ---------------------------------------------------------------------------
+
+  // The app id we last tried the birthdate on in this tab; Steam showing
+  // the same gate again means it refused the date, so don't loop
+  const BYPASS_TRIED_KEY = "reviewGuesser_ageGateTried";
+  const BYPASS_RETRY_MS = 60 * 1000;
+
+  function readTried() {
+    try {
+      return JSON.parse(sessionStorage.getItem(BYPASS_TRIED_KEY) || "null");
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function writeTried(appId) {
+    try {
+      sessionStorage.setItem(
+        BYPASS_TRIED_KEY,
+        JSON.stringify({ appId, at: Date.now() })
+      );
+    } catch (e) {
+      // ignore – at worst we try once more
+    }
+  }
+
+  /**
+   * Pick an option by value, else by position, and tell the page.
+   *
+   * @param {HTMLSelectElement|null} select
+   * @param {string} value
+   * @param {number} index - fallback, e.g. month 3 -> 2 ("March")
+   */
+  function chooseOption(select, value, index) {
+    if (!select) return;
+    const byValue = [...select.options].findIndex((o) => o.value === value);
+    const i = byValue >= 0 ? byValue : index;
+    if (i < 0 || i >= select.options.length) return;
+    select.selectedIndex = i;
+    select.dispatchEvent(new Event("change", { bubbles: true }));
+  }
+
+  /**
+   * Fill in the birthdate and press "View page".
+   *
+   * @param {number} appId
+   * @param {string} birthdate - "YYYY-MM-DD"
+   * @returns {boolean} whether the form was submitted
+   */
+  function submitBirthdate(appId, birthdate) {
+    const form = getSiteRules()?.ageGate;
+    const submit = form && document.querySelector(form.submit);
+    if (!submit) return false;
+
+    const tried = readTried();
+    if (
+      tried &&
+      tried.appId === appId &&
+      Date.now() - tried.at < BYPASS_RETRY_MS
+    ) {
+      console.warn("[ext] Steam did not accept the birthdate for", appId);
+      return false;
+    }
+
+    const [year, month, day] = birthdate.split("-").map(Number);
+    chooseOption(document.querySelector(form.day), String(day), day - 1);
+    chooseOption(document.querySelector(form.month), String(month), month - 1);
+    chooseOption(document.querySelector(form.year), String(year), -1);
+
+    writeTried(appId);
+    submit.click();
+    return true;
+  }
+
+  let learned = false;
+  let waiting = false;
+  let settled = false;
+
+  /**
+   * Deal with the age check page; main.js calls this on every DOM change.
+   *
+   * @param {number|string} appId
+   */
+  function handleAgeGate(appId) {
+    const id = Number(appId);
+    if (!Number.isFinite(id) || settled) return;
+    const { mode, birthdate } = getSettings().ageGate;
+
+    if (!learned) {
+      learned = true;
+      if (mode === "exclude") {
+        // Treated like an unavailable game: runs and Next move on
+        if (handleUnavailableApp(id, "mature", { autoSkip: true })) {
+          settled = true;
+          return;
+        }
+      } else {
+        markAppUnavailable(id, "mature");
+      }
+    }
+
+    // Steam's own script handles the button, so wait until it has run
+    if (mode === "bypass" && document.readyState === "loading") {
+      if (!waiting) {
+        waiting = true;
+        const retry = () => handleAgeGate(id);
+        document.addEventListener("DOMContentLoaded", retry, { once: true });
+      }
+    } else if (mode === "bypass") {
+      settled = true;
+      if (submitBirthdate(id, birthdate)) return;
+    }
+
+    // The daily keeps its games (see handleUnavailableApp)
+    const excluded =
+      mode === "exclude" && getNavigationSource(id) !== "daily";
+    ns.installNextGameNotice &&
+      ns.installNextGameNotice(
+        excluded
+          ? "This game asks for your age, so it won't be picked again."
+          : "This game asks for your age. Confirm it below, or move on:"
+      );
+  }
+
+  // Expose
+  ns.handleAgeGate = handleAgeGate;
+})(window);
@@ -0,0 +1,888 @@
+(function (root) {
+  const ns = (root.ReviewGuesser = root.ReviewGuesser || {});
+
+  const getSettings = ns.getSettings;
+  const saveSettings = ns.saveSettings;
+  const getSeenGamesData = ns.getSeenGamesData;
+  const saveSeenGamesData = ns.saveSeenGamesData;
+  const toSeenRecord = ns.toSeenRecord;
+  const formatNum = ns.formatNum;
+
+  // ---------------------------------------------------------------------------
+  // Backup / restore of the guess history
+  //
+  // JSON backup (full fidelity):
+  //   {
+  //     "format": "review-guesser-backup",
+  //     "schemaVersion": 1,
+  //     "exportedAt": "2025-01-31T12:00:00.000Z",
+  //     "settings": {...},
+  //     "seenGames": [SeenRecord, ...],
+  //     "yearGames": [SeenRecord, ...],    (release year question history)
+  //     "gogGames": [SeenRecord, ...],     (GOG.com history)
+  //     "bookmarks": [Bookmark, ...],      (saved games)
+  //     "runs": [Run, ...],                (finished runs)
+  //     "unavailable": [UnavailableRecord, ...]
+  //   }
+  // Records are written as complete SeenRecords, so fields added to the
+  // history later end up in backups without touching this file. Sections
+  // this version does not know are ignored on import.
+  //
+  // CSV (legacy, still imported and exported):
+  //   appId,correct,timestamp
+  // ---------------------------------------------------------------------------
+
+  const BACKUP_FORMAT = "review-guesser-backup";
+  const BACKUP_SCHEMA_VERSION = 1;
+
+  /**
+   * Histories besides the review count one. Each is its own section of
+   * the JSON backup and is only touched on import when the file has it.
+   */
+  const EXTRA_HISTORIES = [
+    {
+      type: "year",
+      key: "yearGames",
+      label: "Release year history",
+      what: "Year entry",
+    },
+    { type: "gog", key: "gogGames", label: "GOG history", what: "GOG entry" },
+  ];
+
+  const UNAVAILABLE_REASONS = ["region", "delisted", "mature"];
+
+  /**
+   * Other lists the extension keeps in chrome.storage.local (under the
+   * keys of bookmarks.js, run.js and unavailable.js). Each is a section
+   * of the JSON backup too, merged entry by entry like the histories:
+   *   id   – what makes two entries the same
+   *   time – the field "newest wins" compares
+   *   read – a valid entry from the file, or null
+   *   finish – optional, applied to the merged list before it is saved
+   */
+  const EXTRA_LISTS = [
+    {
+      key: "bookmarks",
+      storageKey: "reviewGuesser_bookmarks",
+      label: "Saved games",
+      what: "Saved game",
+      id: (b) => `${b.store}:${Number(b.appId)}`,
+      time: "savedAt",
+      read: (b) =>
+        (b.store === "steam" || b.store === "gog") && Number(b.appId) > 0
+          ? {
+              title: "",
+              url: "",
+              savedAt: 0,
+              result: null,
+              note: "",
+              ...b,
+              appId: Number(b.appId),
+            }
+          : null,
+    },
+    {
+      key: "runs",
+      storageKey: "reviewGuesser_runs",
+      label: "Finished runs",
+      what: "Run",
+      id: (r) => String(r.id),
+      time: "finishedAt",
+      read: (r) =>
+        r.id != null && Number(r.finishedAt) > 0 && Array.isArray(r.games)
+          ? { ...r, id: String(r.id) }
+          : null,
+      // Newest first, as many as run.js keeps
+      finish: (runs) =>
+        runs
+          .sort((a, b) => b.finishedAt - a.finishedAt)
+          .slice(0, ns.MAX_SAVED_RUNS || runs.length),
+    },
+    {
+      key: "unavailable",
+      storageKey: "reviewGuesser_unavailable",
+      label: "Unavailable games",
+      what: "Unavailable entry",
+      id: (u) => Number(u.appId),
+      time: "timestamp",
+      read: (u) =>
+        Number(u.appId) > 0 && UNAVAILABLE_REASONS.includes(u.reason)
+          ? { ...u, appId: Number(u.appId) }
+          : null,
+    },
+  ];
+
+  /**
+   * How imported records are combined with the existing history:
+   *   keep    – existing games stay as they are, only new games are added
+   *   newest  – per game, the record with the newer timestamp wins
+   *   replace – the history becomes exactly what the file contains
+   */
+  const MERGE_STRATEGIES = ["keep", "newest", "replace"];
+
+  const STRATEGY_LABELS = {
+    keep: "Keep existing – only add games I haven't played here",
+    newest: "Newest wins – per game, keep the most recent guess",
+    replace: "Replace all – make my history exactly this file",
+  };
+
+  /**
+   * @typedef {Object} ParsedBackup
+   * @property {"json"|"csv"} kind
+   * @property {SeenRecord[]} records - valid rows, in file order
+   * @property {Object<string, SeenRecord[]>} extraRecords - the
+   *   EXTRA_HISTORIES found in the file, by type
+   * @property {Object<string, object[]>} lists - the EXTRA_LISTS found
+   *   in the file, by key
+   * @property {{line: number|null, message: string}[]} errors - rows
+   *   that were skipped; `line` is only known for CSV rows and JSON
+   *   syntax errors
+   * @property {string[]} warnings - about the file as a whole; nothing
+   *   was skipped because of them
+   * @property {object|null} settings - only JSON backups carry settings
+   * @property {string|null} exportedAt
+   * @property {boolean} newerVersion - written by a newer extension version
+   */
+
+  // ---------------------------------------------------------------------------
+  // Export
+  // ---------------------------------------------------------------------------
+
+  const sortedRecords = (map) =>
+    [...map.values()].sort((a, b) => a.appId - b.appId);
+
+  function hasExtensionStorage() {
+    return (
+      typeof chrome !== "undefined" &&
+      !!chrome.storage &&
+      !!chrome.storage.local
+    );
+  }
+
+  /**
+   * The EXTRA_LISTS as stored now, by key.
+   * @returns {Promise<Object<string, object[]>>}
+   */
+  async function readLists() {
+    const data = hasExtensionStorage()
+      ? await chrome.storage.local.get(EXTRA_LISTS.map((l) => l.storageKey))
+      : {};
+    return Object.fromEntries(
+      EXTRA_LISTS.map(({ key, storageKey }) => [
+        key,
+        Array.isArray(data[storageKey]) ? data[storageKey] : [],
+      ])
+    );
+  }
+
+  /**
+   * The full backup object for the current history, lists and settings.
+   * @returns {Promise<object>}
+   */
+  async function buildBackup() {
+    const lists = await readLists();
+    return {
+      format: BACKUP_FORMAT,
+      schemaVersion: BACKUP_SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      settings: getSettings(),
+      seenGames: sortedRecords(getSeenGamesData()),
+      ...Object.fromEntries(
+        EXTRA_HISTORIES.map(({ type, key }) => [
+          key,
+          sortedRecords(getSeenGamesData(type)),
+        ])
+      ),
+      ...lists,
+    };
+  }
+
+  /**
+   * Three-column CSV: appId,correct,timestamp
+   * correct = 1 for correct, 0 for wrong, s for skipped,
+   *   ? for unknown/legacy
+   * timestamp = ISO date string or empty for legacy entries
+   *
+   * @returns {string}
+   */
+  function buildCsv() {
+    const entries = [...getSeenGamesData().values()].sort(
+      (a, b) => a.appId - b.appId
+    );
+
+    const lines = ["appId,correct,timestamp"];
+    for (const entry of entries) {
+      const correctStr = entry.skipped
+        ? "s"
+        : entry.correct === true
+        ? "1"
+        : entry.correct === false
+        ? "0"
+        : "?";
+      const timestampStr = entry.timestamp
+        ? new Date(entry.timestamp).toISOString()
+        : "";
+      lines.push(`${entry.appId},${correctStr},${timestampStr}`);
+    }
+    return lines.join("\n");
+  }
+
+  function downloadFile(name, content, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Download the history, as a JSON backup (default) or the legacy CSV.
+   *
+   * @param {"json"|"csv"} [format]
+   * @returns {Promise<void>}
+   */
+  async function exportSeenGames(format = "json") {
+    const date = new Date().toISOString().split("T")[0];
+    if (format === "csv") {
+      downloadFile(
+        `steam-review-guesser-seen-games-${date}.csv`,
+        buildCsv(),
+        "text/csv"
+      );
+    } else {
+      downloadFile(
+        `steam-review-guesser-backup-${date}.json`,
+        JSON.stringify(await buildBackup(), null, 2),
+        "application/json"
+      );
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Parsing
+  // ---------------------------------------------------------------------------
+
+  const lineAt = (text, offset) => text.slice(0, offset).split("\n").length;
+
+  /**
+   * @param {string} text
+   * @returns {ParsedBackup}
+   */
+  function parseJsonBackup(text) {
+    const result = {
+      kind: "json",
+      records: [],
+      extraRecords: {},
+      lists: {},
+      errors: [],
+      warnings: [],
+      settings: null,
+      exportedAt: null,
+      newerVersion: false,
+    };
+
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      // V8 reports "line n column m" or "at position n", depending on version
+      const lineMatch = /line (\d+)/.exec(e.message);
+      const posMatch = /position (\d+)/.exec(e.message);
+      result.errors.push({
+        line: lineMatch
+          ? Number(lineMatch[1])
+          : posMatch
+          ? lineAt(text, Number(posMatch[1]))
+          : null,
+        message: `Not valid JSON (${e.message})`,
+      });
+      return result;
+    }
+
+    // A bare array of records is accepted too (hand-made files)
+    const games = Array.isArray(data) ? data : data && data.seenGames;
+    if (!Array.isArray(games)) {
+      result.errors.push({
+        line: null,
+        message: "No seenGames list found – is this a Review Guesser backup?",
+      });
+      return result;
+    }
+
+    if (!Array.isArray(data)) {
+      if (data.format !== BACKUP_FORMAT) {
+        result.warnings.push(
+          `Unexpected format "${data.format}", reading it anyway`
+        );
+      }
+      result.newerVersion =
+        Number(data.schemaVersion) > BACKUP_SCHEMA_VERSION;
+      result.exportedAt =
+        typeof data.exportedAt === "string" ? data.exportedAt : null;
+      result.settings =
+        data.settings && typeof data.settings === "object"
+          ? data.settings
+          : null;
+    }
+
+    // Entries are named by their position in the list ("Entry 3"); the
+    // parsed data does not say which line they were on
+    const readList = (list, into, what) => {
+      list.forEach((item, i) => {
+        const rec = toSeenRecord(item);
+        if (rec && rec.appId > 0) into.push(rec);
+        else {
+          result.errors.push({
+            line: null,
+            message: `${what} ${i + 1} has no valid appId`,
+          });
+        }
+      });
+    };
+
+    readList(games, result.records, "Entry");
+    if (!Array.isArray(data)) {
+      EXTRA_HISTORIES.forEach(({ type, key, what }) => {
+        if (!Array.isArray(data[key])) return;
+        result.extraRecords[type] = [];
+        readList(data[key], result.extraRecords[type], what);
+      });
+      EXTRA_LISTS.forEach(({ key, what, read }) => {
+        if (!Array.isArray(data[key])) return;
+        result.lists[key] = [];
+        data[key].forEach((item, i) => {
+          const entry = item && typeof item === "object" ? read(item) : null;
+          if (entry) result.lists[key].push(entry);
+          else {
+            result.errors.push({
+              line: null,
+              message: `${what} ${i + 1} is not valid`,
+            });
+          }
+        });
+      });
+    }
+    return result;
+  }
+
+  /**
+   * @param {string} text
+   * @returns {ParsedBackup}
+   */
+  function parseCsvBackup(text) {
+    const result = {
+      kind: "csv",
+      records: [],
+      extraRecords: {},
+      lists: {},
+      errors: [],
+      warnings: [],
+      settings: null,
+      exportedAt: null,
+      newerVersion: false,
+    };
+
+    let first = true;
+    text.split(/\r?\n/).forEach((raw, i) => {
+      const line = raw.trim();
+      if (!line) return;
+
+      const parts = line.split(",").map((p) => p.trim());
+
+      // Header line
+      const isHeader = first && /appid|correct|timestamp/i.test(line);
+      first = false;
+      if (isHeader) return;
+
+      if (!/^\d+$/.test(parts[0]) || Number(parts[0]) <= 0) {
+        result.errors.push({
+          line: i + 1,
+          message: `"${parts[0]}" is not an app id`,
+        });
+        return;
+      }
+
+      // correct: 1=true, 0=false, s=skipped, ?/empty=null
+      const correctStr = (parts[1] || "").toLowerCase();
+      if (!["1", "0", "s", "?", ""].includes(correctStr)) {
+        result.errors.push({
+          line: i + 1,
+          message: `"${parts[1]}" is not a result (expected 1, 0, s or ?)`,
+        });
+        return;
+      }
+
+      let timestamp = null;
+      if (parts[2]) {
+        timestamp = Date.parse(parts[2]);
+        if (!Number.isFinite(timestamp)) {
+          result.errors.push({
+            line: i + 1,
+            message: `"${parts[2]}" is not a date`,
+          });
+          return;
+        }
+      }
+
+      result.records.push(
+        toSeenRecord({
+          appId: Number(parts[0]),
+          correct:
+            correctStr === "1" ? true : correctStr === "0" ? false : null,
+          skipped: correctStr === "s",
+          timestamp,
+          source: "import",
+        })
+      );
+    });
+    return result;
+  }
+
+  /**
+   * Parse a backup file; JSON and CSV are told apart by the content.
+   *
+   * @param {string} text
+   * @returns {ParsedBackup}
+   */
+  function parseBackup(text) {
+    const clean = String(text || "").replace(/^\uFEFF/, "");
+    const first = clean.trimStart()[0];
+    return first === "{" || first === "["
+      ? parseJsonBackup(clean)
+      : parseCsvBackup(clean);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Merging
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Combine imported records with the existing history.
+   *
+   * @param {Map<number, SeenRecord>} existing - not modified
+   * @param {SeenRecord[]} incoming
+   * @param {"keep"|"newest"|"replace"} strategy
+   * @returns {{data: Map<number, SeenRecord>, added: number, updated: number, unchanged: number, removed: number}}
+   */
+  function mergeSeenRecords(existing, incoming, strategy) {
+    return mergeEntries(existing, incoming, strategy, {
+      id: (rec) => rec.appId,
+      time: "timestamp",
+    });
+  }
+
+  /**
+   * mergeSeenRecords for any kind of entry.
+   *
+   * @param {Map<*, object>} existing - by id; not modified
+   * @param {object[]} incoming
+   * @param {"keep"|"newest"|"replace"} strategy
+   * @param {{id: (entry: object) => *, time: string}} how - the entry's
+   *   id, and the field holding its time (ms since epoch)
+   * @returns {{data: Map<*, object>, added: number, updated: number, unchanged: number, removed: number}}
+   */
+  function mergeEntries(existing, incoming, strategy, { id, time }) {
+    const newer = (a, b) => (a[time] || 0) > (b[time] || 0);
+
+    // Duplicates within the file: the newest one counts
+    const byId = new Map();
+    incoming.forEach((rec) => {
+      const cur = byId.get(id(rec));
+      if (!cur || newer(rec, cur)) byId.set(id(rec), rec);
+    });
+
+    const data = strategy === "replace" ? new Map() : new Map(existing);
+    const stats = { added: 0, updated: 0, unchanged: 0, removed: 0 };
+
+    byId.forEach((rec, key) => {
+      const cur = existing.get(key);
+      if (!cur) {
+        stats.added++;
+        data.set(key, rec);
+        return;
+      }
+
+      const replaces =
+        strategy === "replace" || (strategy === "newest" && newer(rec, cur));
+      if (!replaces) {
+        stats.unchanged++;
+        return;
+      }
+      if (JSON.stringify(rec) === JSON.stringify(cur)) stats.unchanged++;
+      else stats.updated++;
+      data.set(key, rec);
+    });
+
+    if (strategy === "replace") {
+      existing.forEach((_, key) => {
+        if (!byId.has(key)) stats.removed++;
+      });
+    }
+
+    return { data, ...stats };
+  }
+
+  /**
+   * Apply a parsed backup.
+   *
+   * @param {ParsedBackup} parsed
+   * @param {{strategy: "keep"|"newest"|"replace", restoreSettings?: boolean}} options
+   * @returns {Promise<ReturnType<typeof mergeSeenRecords> & {extra: Object<string, ReturnType<typeof mergeSeenRecords>>, lists: Object<string, ReturnType<typeof mergeEntries>>}>}
+   *   counts for the review count history, plus `extra` for each of the
+   *   EXTRA_HISTORIES and `lists` for each of the EXTRA_LISTS the file has
+   */
+  async function applyBackup(parsed, { strategy, restoreSettings = false }) {
+    if (!MERGE_STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown merge strategy "${strategy}"`);
+    }
+
+    const merged = mergeSeenRecords(
+      getSeenGamesData(),
+      parsed.records,
+      strategy
+    );
+    await saveSeenGamesData(merged.data);
+
+    // Histories missing from the file are left alone, even with "replace"
+    merged.extra = {};
+    for (const { type } of EXTRA_HISTORIES) {
+      const records = parsed.extraRecords[type];
+      if (!records) continue;
+      merged.extra[type] = mergeSeenRecords(
+        getSeenGamesData(type),
+        records,
+        strategy
+      );
+      await saveSeenGamesData(merged.extra[type].data, type);
+    }
+
+    // The other lists likewise; their modules pick up the stored change
+    merged.lists = {};
+    const present = EXTRA_LISTS.filter(({ key }) => parsed.lists[key]);
+    if (present.length && hasExtensionStorage()) {
+      const current = await readLists();
+      const update = {};
+      for (const { key, storageKey, id, time, finish } of present) {
+        const existing = new Map(current[key].map((e) => [id(e), e]));
+        const m = mergeEntries(existing, parsed.lists[key], strategy, {
+          id,
+          time,
+        });
+        const entries = [...m.data.values()];
+        update[storageKey] = finish ? finish(entries) : entries;
+        merged.lists[key] = m;
+      }
+      await chrome.storage.local.set(update);
+    }
+
+    if (restoreSettings && parsed.settings) {
+      await saveSettings(parsed.settings);
+    }
+    return merged;
+  }
+
+  // ---------------------------------------------------------------------------
+  // In-page panel
+  // ---------------------------------------------------------------------------
+
+  function el(tag, className, text) {
+    const e = document.createElement(tag);
+    if (className) e.className = className;
+    if (text != null) e.textContent = text;
+    return e;
+  }
+
+  function button(label, onClick) {
+    const b = el("button", null, label);
+    b.type = "button";
+    b.addEventListener("click", onClick);
+    return b;
+  }
+
+  /**
+   * Open an overlay panel on the current page.
+   *
+   * @param {string} title
+   * @returns {{body: HTMLElement, actions: HTMLElement, close: () => void}}
+   */
+  function openPanel(title) {
+    document.querySelector(".ext-backup-overlay")?.remove();
+
+    const overlay = el("div", "ext-backup-overlay");
+    const panel = el("div", "ext-backup-panel");
+    panel.setAttribute("role", "dialog");
+    panel.setAttribute("aria-modal", "true");
+    panel.setAttribute("aria-label", title);
+
+    const body = el("div", "ext-backup-body");
+    const actions = el("div", "ext-backup-actions");
+    panel.appendChild(el("h2", null, title));
+    panel.appendChild(body);
+    panel.appendChild(actions);
+    overlay.appendChild(panel);
+
+    const onKey = (e) => e.key === "Escape" && close();
+    function close() {
+      overlay.remove();
+      document.removeEventListener("keydown", onKey);
+    }
+
+    overlay.addEventListener("click", (e) => {
+      if (e.target === overlay) close();
+    });
+    document.addEventListener("keydown", onKey);
+    document.body.appendChild(overlay);
+
+    return { body, actions, close };
+  }
+
+  function renderWarnings(body, warnings) {
+    warnings.forEach((w) =>
+      body.appendChild(el("p", "ext-backup-warning", w))
+    );
+  }
+
+  function renderErrorList(body, errors) {
+    if (!errors.length) return;
+
+    body.appendChild(
+      el(
+        "p",
+        "ext-backup-warning",
+        `${formatNum(errors.length)} invalid ` +
+          `${errors.length === 1 ? "row was" : "rows were"} skipped:`
+      )
+    );
+    const list = el("ul", "ext-backup-errors");
+    errors.forEach((err) => {
+      const where = err.line != null ? `Line ${err.line}: ` : "";
+      list.appendChild(el("li", null, where + err.message));
+    });
+    body.appendChild(list);
+  }
+
+  /**
+   * Export panel: pick JSON backup or legacy CSV.
+   */
+  function showExportPanel() {
+    const records = [...getSeenGamesData().values()];
+    const count = records.length;
+    const skipped = records.filter((r) => r.skipped).length;
+    const { body, actions, close } = openPanel("Export seen games");
+
+    if (!count) {
+      body.appendChild(el("p", null, "No games have been seen yet!"));
+      actions.appendChild(button("Close", close));
+      return;
+    }
+
+    body.appendChild(
+      el(
+        "p",
+        null,
+        `${formatNum(count)} games` +
+          (skipped ? ` (${formatNum(skipped)} of them skipped)` : "") +
+          ". The JSON backup keeps every detail " +
+          "(guesses, options, saved games, runs, settings); the CSV " +
+          "only has app id, result and date."
+      )
+    );
+    actions.appendChild(
+      button("Download JSON backup", () => {
+        exportSeenGames("json").catch((err) =>
+          console.error("[ext] Failed to export seen games", err)
+        );
+        close();
+      })
+    );
+    actions.appendChild(
+      button("Download CSV", () => {
+        exportSeenGames("csv");
+        close();
+      })
+    );
+    actions.appendChild(button("Cancel", close));
+  }
+
+  function showImportReport(parsed, merged, settingsRestored) {
+    const { body, actions, close } = openPanel("Import complete");
+
+    const list = el("ul");
+    [
+      ["Added", merged.added],
+      ["Updated", merged.updated],
+      ["Left unchanged", merged.unchanged],
+      ["Removed", merged.removed],
+    ]
+      .filter(([, n]) => n > 0)
+      .forEach(([label, n]) =>
+        list.appendChild(el("li", null, `${label}: ${formatNum(n)} games`))
+      );
+    [
+      ...EXTRA_HISTORIES.map(({ type, label }) => [label, merged.extra[type]]),
+      ...EXTRA_LISTS.map(({ key, label }) => [label, merged.lists[key]]),
+    ].forEach(([label, m]) => {
+      if (!m) return;
+      list.appendChild(
+        el(
+          "li",
+          null,
+          `${label}: ${formatNum(m.added)} added, ` +
+            `${formatNum(m.updated)} updated, ${formatNum(m.removed)} removed`
+        )
+      );
+    });
+    if (!list.children.length) {
+      list.appendChild(el("li", null, "Nothing to import."));
+    }
+    if (settingsRestored) list.appendChild(el("li", null, "Settings restored"));
+    body.appendChild(list);
+
+    renderWarnings(body, parsed.warnings);
+    renderErrorList(body, parsed.errors);
+    actions.appendChild(button("Close", close));
+  }
+
+  /**
+   * Import panel: what the file contains, which merge strategy to use.
+   *
+   * @param {string} fileName
+   * @param {ParsedBackup} parsed
+   */
+  function showImportPanel(fileName, parsed) {
+    const { body, actions, close } = openPanel("Import seen games");
+
+    const kind = parsed.kind === "json" ? "JSON backup" : "CSV";
+    const skipped = parsed.records.filter((r) => r.skipped).length;
+    const exported = parsed.exportedAt
+      ? `, exported ${new Date(parsed.exportedAt).toLocaleString()}`
+      : "";
+    body.appendChild(
+      el(
+        "p",
+        null,
+        `${fileName} (${kind}${exported}): ` +
+          `${formatNum(parsed.records.length)} valid games` +
+          (skipped ? `, ${formatNum(skipped)} of them skipped.` : ".")
+      )
+    );
+    if (parsed.newerVersion) {
+      body.appendChild(
+        el(
+          "p",
+          "ext-backup-warning",
+          "This backup was made by a newer version of the extension; " +
+            "anything this version does not know is ignored."
+        )
+      );
+    }
+    const sections = [
+      ...EXTRA_HISTORIES.map(({ type, label }) => [
+        label,
+        parsed.extraRecords[type],
+      ]),
+      ...EXTRA_LISTS.map(({ key, label }) => [label, parsed.lists[key]]),
+    ].filter(([, entries]) => entries);
+    if (sections.length) {
+      const parts = sections.map(
+        ([label, entries]) => `${label} (${formatNum(entries.length)})`
+      );
+      body.appendChild(
+        el("p", null, `Also in the file: ${parts.join(", ")}.`)
+      );
+    }
+    renderWarnings(body, parsed.warnings);
+    renderErrorList(body, parsed.errors);
+
+    if (!parsed.records.length && !sections.some(([, e]) => e.length)) {
+      actions.appendChild(button("Close", close));
+      return;
+    }
+
+    const form = el("form", "ext-backup-form");
+    MERGE_STRATEGIES.forEach((strategy) => {
+      const label = el("label");
+      const radio = el("input");
+      radio.type = "radio";
+      radio.name = "strategy";
+      radio.value = strategy;
+      radio.checked = strategy === "newest";
+      label.appendChild(radio);
+      label.appendChild(
+        document.createTextNode(" " + STRATEGY_LABELS[strategy])
+      );
+      form.appendChild(label);
+    });
+
+    let settingsBox = null;
+    if (parsed.settings) {
+      const label = el("label");
+      settingsBox = el("input");
+      settingsBox.type = "checkbox";
+      label.appendChild(settingsBox);
+      label.appendChild(
+        document.createTextNode(" Also restore the settings from this backup")
+      );
+      form.appendChild(label);
+    }
+    body.appendChild(form);
+
+    const importBtn = button("Import", async () => {
+      importBtn.disabled = true;
+      const restoreSettings = !!(settingsBox && settingsBox.checked);
+      try {
+        const merged = await applyBackup(parsed, {
+          strategy: form.elements.strategy.value,
+          restoreSettings,
+        });
+        showImportReport(parsed, merged, restoreSettings);
+      } catch (err) {
+        console.error("[ext] Failed to import seen games", err);
+        importBtn.disabled = false;
+        body.appendChild(
+          el("p", "ext-backup-warning", "Import failed: " + err.message)
+        );
+      }
+    });
+    actions.appendChild(importBtn);
+    actions.appendChild(button("Cancel", close));
+  }
+
+  /**
+   * Read a backup file (JSON or CSV) and let the user choose how to merge it.
+   *
+   * @param {File} file
+   */
+  function importSeenGames(file) {
+    const reader = new FileReader();
+
+    reader.onload = (e) => {
+      showImportPanel(file.name, parseBackup(e.target.result));
+    };
+
+    reader.onerror = () => {
+      const { body, actions, close } = openPanel("Import seen games");
+      body.appendChild(
+        el("p", "ext-backup-warning", "Failed to read the file.")
+      );
+      actions.appendChild(button("Close", close));
+    };
+
+    reader.readAsText(file);
+  }
+
+  // Expose
+  ns.MERGE_STRATEGIES = MERGE_STRATEGIES;
+  ns.buildBackup = buildBackup;
+  ns.parseBackup = parseBackup;
+  ns.mergeSeenRecords = mergeSeenRecords;
+  ns.applyBackup = applyBackup;
+  ns.exportSeenGames = exportSeenGames;
+  ns.showExportPanel = showExportPanel;
+  ns.importSeenGames = importSeenGames;
+})(window);
@@ -0,0 +1,232 @@
+(function (root) {
+  const ns = (root.ReviewGuesser = root.ReviewGuesser || {});
+
+  const getCurrentGameTitle = ns.getCurrentGameTitle;
+
+  // ---------------------------------------------------------------------------
+  // Saved games ("Save for later")
+  //
+  // Games the player wants to come back to, kept in chrome.storage.local
+  // apart from the guess history. Listed on pages/saved.html.
+  // ---------------------------------------------------------------------------
+
+  const BOOKMARKS_KEY = "reviewGuesser_bookmarks";
+
+  /**
+   * @typedef {Object} BookmarkResult
+   * @property {"reviews"|"year"} questionType
+   * @property {boolean} correct
+   * @property {number|null} picked - our guess
+   * @property {number|null} answer - the true count or year
+   */
+
+  /**
+   * @typedef {Object} Bookmark
+   * @property {"steam"|"gog"} store
+   * @property {number} appId - Steam app id or GOG product id
+   * @property {string} title - as shown on the page when saved
+   * @property {string} url
+   * @property {number} savedAt - ms since epoch
+   * @property {BookmarkResult|null} result - our guess, once made
+   * @property {string} note
+   */
+
+  /** @type {Map<string, Bookmark>} "store:appId" -> bookmark */
+  let bookmarks = new Map();
+  let loading = null;
+
+  const bookmarkKey = (store, appId) => `${store}:${Number(appId)}`;
+
+  function hasExtensionStorage() {
+    return (
+      typeof chrome !== "undefined" &&
+      !!chrome.storage &&
+      !!chrome.storage.local
+    );
+  }
+
+  function setBookmarks(list) {
+    bookmarks = new Map(
+      (Array.isArray(list) ? list : [])
+        .filter((b) => b && Number.isFinite(Number(b.appId)))
+        .map((b) => [bookmarkKey(b.store, b.appId), b])
+    );
+  }
+
+  /**
+   * Load the saved games into memory; repeated calls share one load.
+   *
+   * @returns {Promise<void>}
+   */
+  function loadBookmarks() {
+    if (loading) return loading;
+
+    loading = (async () => {
+      if (!hasExtensionStorage()) return;
+      try {
+        const data = await chrome.storage.local.get(BOOKMARKS_KEY);
+        setBookmarks(data[BOOKMARKS_KEY]);
+      } catch (e) {
+        console.warn("[ext] Failed to load saved games", e);
+      }
+    })();
+
+    return loading;
+  }
+
+  if (hasExtensionStorage() && chrome.storage.onChanged) {
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === "local" && changes[BOOKMARKS_KEY]) {
+        setBookmarks(changes[BOOKMARKS_KEY].newValue);
+      }
+    });
+  }
+
+  function persist() {
+    if (!hasExtensionStorage()) return Promise.resolve();
+    return chrome.storage.local
+      .set({ [BOOKMARKS_KEY]: [...bookmarks.values()] })
+      .catch((e) => console.warn("[ext] Failed to save saved games", e));
+  }
+
+  /**
+   * Every saved game, newest first.
+   *
+   * @returns {Bookmark[]}
+   */
+  function getBookmarks() {
+    return [...bookmarks.values()].sort((a, b) => b.savedAt - a.savedAt);
+  }
+
+  /**
+   * @param {"steam"|"gog"} store
+   * @param {number|string} appId
+   * @returns {Bookmark|null}
+   */
+  function getBookmark(store, appId) {
+    return bookmarks.get(bookmarkKey(store, appId)) || null;
+  }
+
+  /**
+   * Save a game (or update a saved one, keeping what the patch leaves out).
+   *
+   * @param {Partial<Bookmark> & {store: string, appId: number|string}} patch
+   * @returns {Promise<void>}
+   */
+  async function saveBookmark(patch) {
+    // A load finishing later would overwrite the change
+    await loadBookmarks();
+    const key = bookmarkKey(patch.store, patch.appId);
+    const cur = bookmarks.get(key);
+    bookmarks.set(key, {
+      title: "",
+      url: "",
+      savedAt: Date.now(),
+      result: null,
+      note: "",
+      ...cur,
+      ...patch,
+      appId: Number(patch.appId),
+    });
+    return persist();
+  }
+
+  /**
+   * @param {"steam"|"gog"} store
+   * @param {number|string} appId
+   * @returns {Promise<void>}
+   */
+  async function removeBookmark(store, appId) {
+    await loadBookmarks();
+    bookmarks.delete(bookmarkKey(store, appId));
+    return persist();
+  }
+
+  /**
+   * Attach the result of a guess to a game saved before guessing.
+   *
+   * @param {"steam"|"gog"} store
+   * @param {number|string} appId
+   * @param {BookmarkResult} result
+   * @returns {Promise<void>}
+   */
+  async function updateBookmarkResult(store, appId, result) {
+    await loadBookmarks();
+    if (!getBookmark(store, appId)) return;
+    await saveBookmark({ store, appId, result });
+  }
+
+  // ---------------------------------------------------------------------------
+  // "Save for later" control in the widget
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Toggle button plus a note field (shown once saved).
+   *
+   * @param {HTMLElement} wrap - the .ext-steam-guess widget
+   * @param {{store: "steam"|"gog", appId: number|string,
+   *   result: () => BookmarkResult|null}} game - result: the guess so far
+   */
+  function renderBookmarkControl(wrap, game) {
+    if (!Number.isFinite(Number(game.appId))) return;
+
+    const box = document.createElement("div");
+    box.className = "ext-bookmark";
+
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "ext-bookmark-toggle";
+
+    const note = document.createElement("input");
+    note.type = "text";
+    note.placeholder = "Note (optional)";
+    note.setAttribute("aria-label", "Note for this saved game");
+    note.maxLength = 500;
+
+    const sync = () => {
+      const saved = getBookmark(game.store, game.appId);
+      btn.textContent = saved ? "★ Saved" : "☆ Save for later";
+      btn.setAttribute("aria-pressed", saved ? "true" : "false");
+      note.hidden = !saved;
+      if (saved && document.activeElement !== note) note.value = saved.note;
+    };
+
+    btn.addEventListener("click", async () => {
+      if (getBookmark(game.store, game.appId)) {
+        await removeBookmark(game.store, game.appId);
+      } else {
+        await saveBookmark({
+          store: game.store,
+          appId: game.appId,
+          title: getCurrentGameTitle(),
+          url: location.origin + location.pathname,
+          savedAt: Date.now(),
+          result: game.result(),
+        });
+      }
+      sync();
+    });
+
+    note.addEventListener("change", () => {
+      if (!getBookmark(game.store, game.appId)) return;
+      saveBookmark({
+        store: game.store,
+        appId: game.appId,
+        note: note.value.trim(),
+      });
+    });
+
+    box.append(btn, note);
+    wrap.appendChild(box);
+    loadBookmarks().then(sync);
+  }
+
+  // Expose
+  ns.loadBookmarks = loadBookmarks;
+  ns.getBookmarks = getBookmarks;
+  ns.getBookmark = getBookmark;
+  ns.saveBookmark = saveBookmark;
+  ns.removeBookmark = removeBookmark;
+  ns.updateBookmarkResult = updateBookmarkResult;
+  ns.renderBookmarkControl = renderBookmarkControl;
+})(window);
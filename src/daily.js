@@ -0,0 +1,296 @@
+(function (root) {
+  const ns = (root.ReviewGuesser = root.ReviewGuesser || {});
+
+  const seededRandom = ns.seededRandom;
+  const getSmartRandomAppId = ns.getSmartRandomAppId;
+  const rememberNavigationSource = ns.rememberNavigationSource;
+
+  // ---------------------------------------------------------------------------
+  // Daily challenge
+  //
+  // The UTC date seeds every random choice, so everyone playing on the same
+  // day (with the same data files) gets the same games and the same options.
+  // ---------------------------------------------------------------------------
+
+  const DAILY_KEY = "reviewGuesser_daily";
+  const DAILY_GAME_COUNT = 5;
+  // Fixed, independent of the user's answer count setting, to keep it fair
+  const DAILY_ANSWER_COUNT = 6;
+
+  /**
+   * Today's challenge key, e.g. "2025-01-31" (UTC so time zones agree).
+   * @returns {string}
+   */
+  function getTodayKey() {
+    return new Date().toISOString().slice(0, 10);
+  }
+
+  // dateKey -> Promise<number[]>
+  const IDS_CACHE = Object.create(null);
+
+  /**
+   * The app ids of the daily challenge for a date. Seen games are *not*
+   * excluded here – the list has to be identical for everyone.
+   *
+   * @param {string} dateKey
+   * @returns {Promise<number[]>}
+   */
+  function getDailyAppIds(dateKey) {
+    if (IDS_CACHE[dateKey]) return IDS_CACHE[dateKey];
+
+    IDS_CACHE[dateKey] = (async () => {
+      const random = seededRandom(`daily:${dateKey}`);
+      const picked = new Set();
+      while (picked.size < DAILY_GAME_COUNT) {
+        const id = await getSmartRandomAppId({ random, exclude: picked });
+        if (id == null) break;
+        picked.add(id);
+      }
+      return [...picked];
+    })();
+
+    return IDS_CACHE[dateKey];
+  }
+
+  /**
+   * Options for buildGuessSet on a daily game: seeded per date and app.
+   *
+   * @param {string} dateKey
+   * @param {number|string} appId
+   */
+  function getDailyGuessOptions(dateKey, appId) {
+    return {
+      answerCount: DAILY_ANSWER_COUNT,
+      random: seededRandom(`daily:${dateKey}:${appId}`),
+    };
+  }
+
+  async function readStorage(key, fallback) {
+    try {
+      const data = await chrome.storage.local.get(key);
+      return data[key] ?? fallback;
+    } catch (e) {
+      console.warn("[ext] Failed to read " + key, e);
+      return fallback;
+    }
+  }
+
+  async function writeStorage(key, value) {
+    try {
+      await chrome.storage.local.set({ [key]: value });
+    } catch (e) {
+      console.warn("[ext] Failed to save " + key, e);
+    }
+  }
+
+  /**
+   * Progress kept in the page's localStorage by older versions, which
+   * Steam's own scripts could clear. Moved over once, then removed.
+   *
+   * @returns {Promise<object|null>}
+   */
+  async function migrateLegacyDailyState() {
+    let state = null;
+    try {
+      state = JSON.parse(localStorage.getItem(DAILY_KEY) || "null");
+      localStorage.removeItem(DAILY_KEY);
+    } catch (e) {
+      console.warn("[ext] Failed to read old daily challenge state", e);
+      return null;
+    }
+    if (state) await writeStorage(DAILY_KEY, state);
+    return state;
+  }
+
+  /**
+   * Today's challenge progress, or null when none was started today.
+   * Shape: {dateKey, ids: number[], results: {[appId]: {correct, picked, trueCount}}}
+   *
+   * It lives in chrome.storage.local, like the run, so it survives Steam
+   * clearing its site data.
+   *
+   * @returns {Promise<object|null>}
+   */
+  async function readDailyState() {
+    let state = await readStorage(DAILY_KEY, null);
+    if (!state) state = await migrateLegacyDailyState();
+    if (!state || state.dateKey !== getTodayKey()) return null;
+    return state;
+  }
+
+  function writeDailyState(state) {
+    return writeStorage(DAILY_KEY, state);
+  }
+
+  /**
+   * If the app is part of today's started challenge, describe its slot.
+   *
+   * @param {number|string} appId
+   * @returns {Promise<{dateKey: string, index: number, total: number, result: object|null}|null>}
+   */
+  async function getDailyGame(appId) {
+    const state = await readDailyState();
+    if (!state) return null;
+
+    const index = state.ids.indexOf(Number(appId));
+    if (index < 0) return null;
+
+    return {
+      dateKey: state.dateKey,
+      index,
+      total: state.ids.length,
+      result: state.results[appId] || null,
+    };
+  }
+
+  /**
+   * Store the outcome of a daily game (first answer only).
+   *
+   * @param {number|string} appId
+   * @param {{correct: boolean, picked?: number, trueCount?: number, unavailable?: boolean}} result
+   * @returns {Promise<void>}
+   */
+  async function recordDailyResult(appId, result) {
+    const state = await readDailyState();
+    if (!state || state.results[appId]) return;
+    if (!state.ids.includes(Number(appId))) return;
+
+    state.results[appId] = result;
+    await writeDailyState(state);
+  }
+
+  /**
+   * A daily game that is not available in the user's region, or delisted,
+   * can't be played; record it as such so the challenge can move on.
+   *
+   * @param {number|string} appId
+   * @returns {Promise<void>}
+   */
+  function skipUnavailableDailyGame(appId) {
+    return recordDailyResult(appId, { correct: false, unavailable: true });
+  }
+
+  function nextDailyAppId(state) {
+    const next = state.ids.find((id) => !state.results[id]);
+    return next != null ? next : null;
+  }
+
+  function navigateToDailyGame(appId) {
+    rememberNavigationSource(appId, "daily");
+    window.location.assign(`https://store.steampowered.com/app/${appId}/`);
+  }
+
+  /**
+   * Start (or continue) today's challenge by opening the next unplayed game.
+   * When everything is played, reopen the last game to show the result.
+   */
+  async function startDailyChallenge() {
+    let state = await readDailyState();
+
+    if (!state) {
+      const dateKey = getTodayKey();
+      const ids = await getDailyAppIds(dateKey);
+      if (!ids.length) {
+        console.warn("[ext] Could not build today's daily challenge");
+        return;
+      }
+      state = { dateKey, ids, results: {} };
+      await writeDailyState(state);
+    }
+
+    const next = nextDailyAppId(state);
+    navigateToDailyGame(next != null ? next : state.ids[state.ids.length - 1]);
+  }
+
+  /**
+   * Wordle-style result, e.g.
+   *   Jonas Review Guesser Daily 2025-01-31 3/5
+   *   🟩🟥🟩🟩🟥
+   *
+   * @returns {string}
+   */
+  function buildDailyShareText(state) {
+    const results = state.ids.map((id) => state.results[id]);
+    const score = results.filter((r) => r && r.correct).length;
+    const squares = results
+      .map((r) =>
+        !r ? "⬜" : r.unavailable ? "⬛" : r.correct ? "🟩" : "🟥"
+      )
+      .join("");
+
+    return (
+      `Jonas Review Guesser Daily ${state.dateKey} ` +
+      `${score}/${state.ids.length}\n${squares}`
+    );
+  }
+
+  function copyText(text) {
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      return navigator.clipboard.writeText(text);
+    }
+    const ta = document.createElement("textarea");
+    ta.value = text;
+    ta.style.cssText = "position:absolute;left:-9999px;";
+    document.body.appendChild(ta);
+    ta.select();
+    document.execCommand("copy");
+    document.body.removeChild(ta);
+    return Promise.resolve();
+  }
+
+  /**
+   * Footer under an answered daily game: "next game" or the shareable result.
+   *
+   * @param {HTMLElement} wrap - the .ext-steam-guess widget
+   * @returns {Promise<void>}
+   */
+  async function renderDailyFooter(wrap) {
+    const state = await readDailyState();
+    if (!state) return;
+
+    wrap.querySelector(".ext-daily-footer")?.remove();
+    const footer = document.createElement("div");
+    footer.className = "ext-daily-footer";
+
+    const next = nextDailyAppId(state);
+    if (next != null) {
+      const done = Object.keys(state.results).length;
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.textContent = `Next daily game (${done + 1}/${state.ids.length})`;
+      btn.addEventListener("click", () => navigateToDailyGame(next));
+      footer.appendChild(btn);
+    } else {
+      const text = buildDailyShareText(state);
+      const pre = document.createElement("pre");
+      pre.className = "ext-daily-share";
+      pre.textContent = text;
+
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.textContent = "Copy result";
+      btn.addEventListener("click", () => {
+        copyText(text).then(
+          () => (btn.textContent = "Copied!"),
+          () => (btn.textContent = "Copy failed – select the text instead")
+        );
+      });
+
+      footer.appendChild(pre);
+      footer.appendChild(btn);
+    }
+
+    wrap.appendChild(footer);
+  }
+
+  // Expose
+  ns.getTodayKey = getTodayKey;
+  ns.getDailyAppIds = getDailyAppIds;
+  ns.getDailyGuessOptions = getDailyGuessOptions;
+  ns.getDailyGame = getDailyGame;
+  ns.recordDailyResult = recordDailyResult;
+  ns.skipUnavailableDailyGame = skipUnavailableDailyGame;
+  ns.startDailyChallenge = startDailyChallenge;
+  ns.buildDailyShareText = buildDailyShareText;
+  ns.renderDailyFooter = renderDailyFooter;
+})(window);
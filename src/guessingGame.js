@@ -2,15 +2,74 @@
   const ns = (root.ReviewGuesser = root.ReviewGuesser || {});
 
   const isSteamAppPage = ns.isSteamAppPage;
-  const getCurrentSteamAppId = ns.getCurrentSteamAppId;
+  const isGogProductPage = ns.isGogProductPage;
+  const getCurrentGameId = ns.getCurrentGameId;
   const getSteamReviewsContainer = ns.getSteamReviewsContainer;
   const hideAllSteamReviewCounts = ns.hideAllSteamReviewCounts;
   const waitForAnyReviewCount = ns.waitForAnyReviewCount;
   const formatNum = ns.formatNum;
+  const seededRandom = ns.seededRandom;
+  const shuffleInPlace = ns.shuffleInPlace;
+  const parseReviewCountRaw = ns.parseReviewCountRaw;
   const markGameAsSeen = ns.markGameAsSeen;
+  const markGameAsSkipped = ns.markGameAsSkipped;
+  const getReviewState = ns.getReviewState;
+  const getNavigationSource = ns.getNavigationSource;
+  const getSettings = ns.getSettings;
+  const revealSpoilers = ns.revealSpoilers;
+  const saveSettings = ns.saveSettings;
+  const getPositivePercent = ns.getPositivePercent;
+  const deriveSentimentLabel = ns.deriveSentimentLabel;
+  const getSentimentOptions = ns.getSentimentOptions;
+  const scoreSentimentGuess = ns.scoreSentimentGuess;
+  const combineRoundScore = ns.combineRoundScore;
+  const updateSeenRecord = ns.updateSeenRecord;
+  const getSeenRecord = ns.getSeenRecord;
+  const renderBookmarkControl = ns.renderBookmarkControl;
+  const updateBookmarkResult = ns.updateBookmarkResult;
+  const getReleaseYear = ns.getReleaseYear;
+  const scoreYearGuess = ns.scoreYearGuess;
+  const isYearGuessCorrect = ns.isYearGuessCorrect;
+  const isEditableTarget = ns.isEditableTarget;
 
-  function buildGuessSet(trueCount) {
-    const MIN_ANSWERS = 6;
+  /**
+   * How far apart the multiple-choice options are.
+   *
+   * - answerCount: options offered (normal uses the "Number of answers" setting)
+   * - factor: multiplicative step between neighbouring options
+   * - minStep: [min, max] of the random minimum upward step
+   * - maxDown: [min, max] of how many options may lie below the true count
+   */
+  const DIFFICULTY_PRESETS = {
+    easy: { answerCount: 4, factor: 10, minStep: [40, 60], maxDown: [1, 2] },
+    normal: { answerCount: 6, factor: 5, minStep: [40, 60], maxDown: [4, 5] },
+    hard: { answerCount: 9, factor: 2, minStep: [10, 20], maxDown: [3, 5] },
+  };
+
+  /**
+   * @typedef {Object} GuessSetOptions
+   * @property {"easy"|"normal"|"hard"} [difficulty] - defaults to "normal"
+   * @property {number} [answerCount] - overrides the preset's option count
+   * @property {() => number} [random] - random source (defaults to Math.random)
+   * @property {string} [seed] - shorthand for random: seededRandom(seed)
+   */
+
+  /**
+   * Build the shuffled multiple-choice options for a true review count.
+   * The same random source (or seed) always yields the same options.
+   *
+   * @param {number} trueCount
+   * @param {GuessSetOptions} [options]
+   * @returns {number[]}
+   */
+  function buildGuessSet(trueCount, options = {}) {
+    const preset =
+      DIFFICULTY_PRESETS[options.difficulty] || DIFFICULTY_PRESETS.normal;
+    const MIN_ANSWERS = options.answerCount || preset.answerCount;
+    const FACTOR = preset.factor;
+    const random =
+      options.random ||
+      (options.seed != null ? seededRandom(options.seed) : Math.random);
     const CAP = 200_000_000_000;
 
     // Normalise the true answer and cap it
@@ -23,16 +82,16 @@
     answers.add(TC);
 
     const randInt = (min, max) =>
-      Math.floor(Math.random() * (max - min + 1)) + min;
+      Math.floor(random() * (max - min + 1)) + min;
 
-    // Random minimum step between answers when going upwards (40–60)
-    const MIN_STEP_INCREASE = randInt(40, 60);
+    // Random minimum step between answers when going upwards (40–60 on normal)
+    const MIN_STEP_INCREASE = randInt(...preset.minStep);
 
-    // Random limit for how many *downward* options we may generate: 2–5
-    const maxDownGuesses = randInt(4, 5);
+    // Random limit for how many *downward* options we may generate (4–5 on normal)
+    const maxDownGuesses = randInt(...preset.maxDown);
 
     //
-    // 1) DOWNWARDS PHASE (divide by 5 with noise) — ONLY if TC >= MIN_STEP_INCREASE.
+    // 1) DOWNWARDS PHASE (divide by FACTOR with noise) — ONLY if TC >= MIN_STEP_INCREASE.
     //    Also limited to maxDownGuesses.
     //
     if (TC >= MIN_STEP_INCREASE) {
@@ -42,7 +101,7 @@
       while (answers.size < MIN_ANSWERS && downCount < maxDownGuesses) {
         if (current === 0) break;
 
-        let divided = Math.floor(current / 5);
+        let divided = Math.floor(current / FACTOR);
 
         // No progress? bail out to avoid infinite loops
         if (divided === current) break;
@@ -69,14 +128,14 @@
     }
 
     //
-    // 2) UPWARDS PHASE: multiply by 5 with noise and enforce a random min distance (40–60).
+    // 2) UPWARDS PHASE: multiply by FACTOR with noise and enforce a random min distance.
     //    This fills remaining slots with higher values.
     //
     let current = TC;
 
     while (answers.size < MIN_ANSWERS) {
-      // Base "multiply by 5"
-      let base = current * 5;
+      // Base "multiply by FACTOR"
+      let base = current * FACTOR;
 
       // Small random wobble: [-2, 3]  (add up to 3, remove up to 2)
       const noise = randInt(-2, 3);
@@ -109,7 +168,7 @@
     }
 
     //
-    // 3) Fallback: if we *still* have fewer than 6 answers,
+    // 3) Fallback: if we *still* have fewer than MIN_ANSWERS answers,
     //    just fill upwards by +1 from the current max.
     //
     if (answers.size < MIN_ANSWERS) {
@@ -134,8 +193,8 @@
         if (values[i] < minVal) minVal = values[i];
       }
 
-      if (minVal !== TC && Math.random() < 0.5 && minVal < 20) {
-        const candidates = Math.random() < 0.5 ? [0, 1] : [1, 0];
+      if (minVal !== TC && random() < 0.5 && minVal < 20) {
+        const candidates = random() < 0.5 ? [0, 1] : [1, 0];
 
         for (const val of candidates) {
           // If replacing with the same value, no point; skip
@@ -156,19 +215,861 @@
     //
     // 5) Convert to array and shuffle so the correct answer isn’t in a fixed spot.
     //
-    const picks = Array.from(answers);
+    return shuffleInPlace(Array.from(answers), random);
+  }
+
+  /**
+   * buildGuessSet options for the player's settings. The answer count
+   * setting only applies to normal; easy and hard use their preset's.
+   *
+   * @param {object} settings
+   * @returns {GuessSetOptions}
+   */
+  function getGuessSetOptions(settings) {
+    const { difficulty } = settings;
+    return difficulty === "normal"
+      ? { difficulty, answerCount: settings.answerCount }
+      : { difficulty };
+  }
+
+  /**
+   * Grid columns that lay the choice buttons out in even rows
+   * (2×2 for easy, 3×3 for hard).
+   *
+   * @param {number} n - number of options
+   * @returns {number}
+   */
+  function getGuessGridColumns(n) {
+    if (n <= 4 && n !== 3) return 2;
+    if (n > 4 && n % 4 === 0) return 4;
+    return 3;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Free-text guess mode
+  // ---------------------------------------------------------------------------
+
+  // A typed guess within this factor of the true count counts as "correct"
+  const TEXT_GUESS_CORRECT_RATIO = 2;
+
+  /**
+   * Score a typed guess on a log scale:
+   *   exact → 1, 2x off → ~0.7, 10x (or more) off → 0.
+   * Both values are shifted by one so that 0 reviews stays comparable.
+   *
+   * @param {number} guess
+   * @param {number} trueCount
+   * @returns {number} score in [0, 1]
+   */
+  function scoreLogGuess(guess, trueCount) {
+    const d = Math.abs(
+      Math.log10(Math.max(0, guess) + 1) -
+        Math.log10(Math.max(0, trueCount) + 1)
+    );
+    return Math.max(0, 1 - d);
+  }
+
+  /**
+   * How many times the guess is off, e.g. 2.5 for "2.5x too high/low".
+   *
+   * @param {number} guess
+   * @param {number} trueCount
+   * @returns {number}
+   */
+  function guessRatio(guess, trueCount) {
+    const a = Math.max(0, guess) + 1;
+    const b = Math.max(0, trueCount) + 1;
+    return Math.max(a, b) / Math.min(a, b);
+  }
+
+  /**
+   * "exact!" or how far off a count guess is, e.g. "2.5x too high".
+   *
+   * @param {number} guess
+   * @param {number} trueCount
+   * @returns {string}
+   */
+  function describeCountOff(guess, trueCount) {
+    if (guess === trueCount) return "exact!";
+    const ratio = guessRatio(guess, trueCount).toFixed(1);
+    return `${ratio}x ${guess > trueCount ? "too high" : "too low"}`;
+  }
+
+  /**
+   * "exact!" or how far off a year guess is, e.g. "2 years too early".
+   *
+   * @param {number} guess
+   * @param {number} trueYear
+   * @returns {string}
+   */
+  function describeYearOff(guess, trueYear) {
+    const off = Math.abs(guess - trueYear);
+    if (off === 0) return "exact!";
+    return `${off} year${off === 1 ? "" : "s"} ${
+      guess > trueYear ? "too late" : "too early"
+    }`;
+  }
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  /**
+   * When a reviewed mistake comes back, e.g. "in 3 days".
+   *
+   * @param {GuessRound} round
+   * @returns {string}
+   */
+  function describeNextReview(round) {
+    const state = getReviewState(getSeenRecord(round.appId, round.history));
+    if (!state) return "–";
+    if (state.dueAt == null) return "learned, it won't come back";
+    const days = Math.max(1, Math.round((state.dueAt - Date.now()) / DAY_MS));
+    return `in ${days} day${days === 1 ? "" : "s"}`;
+  }
+
+  /**
+   * Parse what the user typed. Accepts plain integers as well as
+   * anything parseReviewCountRaw understands ("12 345", "12k", ...).
+   *
+   * @param {string} raw
+   * @returns {number|null}
+   */
+  function parseGuessInput(raw) {
+    const s = (raw || "").replace(/[\s\u00A0]/g, "");
+    if (/^\d+$/.test(s)) return parseInt(s, 10);
+    return parseReviewCountRaw(raw);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Keyboard and screen reader support
+  // ---------------------------------------------------------------------------
+
+  // Number keys for the 1st, 2nd, ... answer; "0" is the tenth
+  const ANSWER_KEYS = ["1", "2", "3", "4", "5", "6", "7", "8", "9", "0"];
+
+  /**
+   * Put answer buttons in an ARIA radiogroup. The group is
+   * `display: contents`, so the buttons still sit in the widget's grid.
+   * Tab reaches the group once; arrow keys move between the options.
+   *
+   * @param {string} label - accessible name of the group
+   * @param {HTMLButtonElement[]} buttons
+   * @returns {HTMLElement}
+   */
+  function makeAnswerGroup(label, buttons) {
+    const group = document.createElement("div");
+    group.className = "ext-choices";
+    group.setAttribute("role", "radiogroup");
+    group.setAttribute("aria-label", label);
+
+    buttons.forEach((b, i) => {
+      b.setAttribute("role", "radio");
+      b.setAttribute("aria-checked", "false");
+      b.tabIndex = i === 0 ? 0 : -1;
+
+      const key = ANSWER_KEYS[i];
+      if (key) {
+        b.setAttribute("aria-keyshortcuts", key);
+        const hint = document.createElement("span");
+        hint.className = "ext-key";
+        hint.setAttribute("aria-hidden", "true");
+        hint.textContent = key;
+        b.prepend(hint);
+      }
+      group.appendChild(b);
+    });
+
+    group.addEventListener("keydown", (e) => {
+      const step = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 }[
+        e.key
+      ];
+      const i = buttons.indexOf(document.activeElement);
+      if (!step || i < 0) return;
+
+      e.preventDefault();
+      const next = buttons[(i + step + buttons.length) % buttons.length];
+      buttons.forEach((b) => (b.tabIndex = b === next ? 0 : -1));
+      next.focus();
+    });
+
+    return group;
+  }
+
+  /**
+   * Lock an answered group: the pick is checked, the group disabled.
+   *
+   * @param {HTMLElement} group - from makeAnswerGroup
+   * @param {HTMLButtonElement|null} picked
+   */
+  function lockAnswerGroup(group, picked) {
+    group.setAttribute("aria-disabled", "true");
+    group.querySelectorAll('[role="radio"]').forEach((b) => {
+      b.setAttribute("aria-checked", String(b === picked));
+    });
+  }
+
+  let answerKeysInstalled = false;
+
+  /**
+   * Number keys answer whichever question is open: the count first,
+   * then the rating. Installed once per page.
+   */
+  function installAnswerKeys() {
+    if (answerKeysInstalled) return;
+    answerKeysInstalled = true;
+
+    document.addEventListener("keydown", (e) => {
+      if (e.ctrlKey || e.altKey || e.metaKey || e.repeat) return;
+      if (isEditableTarget(e.target)) return;
+
+      const idx = ANSWER_KEYS.indexOf(e.key);
+      if (idx < 0) return;
+
+      const group = [
+        ...document.querySelectorAll(".ext-steam-guess .ext-choices"),
+      ].find((g) => g.getAttribute("aria-disabled") !== "true");
+      const btn = group && group.querySelectorAll('[role="radio"]')[idx];
+      if (!btn || btn.disabled) return;
+
+      e.preventDefault();
+      btn.focus();
+      btn.click();
+    });
+  }
+
+  /**
+   * Read a result out to screen readers through the widget's live region.
+   *
+   * @param {HTMLElement} wrap
+   * @param {string} text
+   */
+  function announce(wrap, text) {
+    const status = wrap.querySelector(".ext-live");
+    if (status) status.textContent = text;
+  }
 
-    for (let i = picks.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [picks[i], picks[j]] = [picks[j], picks[i]];
+  // ---------------------------------------------------------------------------
+  // Second question: the rating label
+  // ---------------------------------------------------------------------------
+
+  /**
+   * @typedef {Object} SentimentQuestion
+   * @property {number} percent - positive share, 0..100
+   * @property {string|null} label - Steam's label (null: too few reviews)
+   * @property {string[]} options - labels to choose from, best first
+   */
+
+  /**
+   * @param {number} trueCount
+   * @returns {SentimentQuestion|null} null when the page has no percentage
+   */
+  function buildSentimentQuestion(trueCount) {
+    const percent = getPositivePercent();
+    if (percent == null) return null;
+    return {
+      percent,
+      label: deriveSentimentLabel(percent, trueCount),
+      options: getSentimentOptions(trueCount),
+    };
+  }
+
+  /**
+   * Ask for the rating label once the count was guessed; the round's
+   * score becomes the average of both answers.
+   *
+   * @param {HTMLElement} wrap
+   * @param {GuessRound} round
+   * @param {number} countScore - 0..1
+   * @param {() => void} onAnswered
+   */
+  function renderSentimentQuestion(wrap, round, countScore, onAnswered) {
+    const { label, options, percent } = round.sentiment;
+
+    const box = document.createElement("div");
+    box.className = "ext-sentiment";
+
+    const prompt = document.createElement("div");
+    prompt.className = "ext-sentiment-prompt";
+    prompt.textContent = "And how was it received?";
+    box.appendChild(prompt);
+
+    const result = document.createElement("div");
+    result.className = "ext-sentiment-result";
+
+    const btns = options.map((opt) => {
+      const b = document.createElement("button");
+      b.type = "button";
+      b.dataset.value = opt;
+      b.textContent = opt;
+      b.addEventListener(
+        "click",
+        () => {
+          if (box.dataset.locked === "1") return;
+          box.dataset.locked = "1";
+
+          btns.forEach((btn) => {
+            if (btn.dataset.value === label) btn.classList.add("correct");
+            else if (btn === b) btn.classList.add("wrong");
+            btn.disabled = true;
+          });
+          lockAnswerGroup(group, b);
+
+          const sentimentScore = scoreSentimentGuess(opt, label, options);
+          const total = combineRoundScore(countScore, sentimentScore);
+          updateSeenRecord(round.appId, {
+            sentimentPicked: opt,
+            sentimentScore,
+            score: total,
+          });
+
+          result.textContent =
+            `${label} (${percent}% positive) · ` +
+            `count ${Math.round(countScore * 100)} + ` +
+            `rating ${Math.round(sentimentScore * 100)} → ` +
+            `${Math.round(total * 100)} points`;
+          announce(
+            wrap,
+            (opt === label ? "Correct, " : `Not quite, it's `) +
+              result.textContent
+          );
+          onAnswered();
+        },
+        { once: true }
+      );
+      return b;
+    });
+
+    const group = makeAnswerGroup("How was it received?", btns);
+    box.appendChild(group);
+    box.appendChild(result);
+    wrap.appendChild(box);
+  }
+
+  const bookmarkStore = (round) => (round.history === "gog" ? "gog" : "steam");
+
+  /**
+   * The guess on record for this game, as kept with a saved game.
+   *
+   * @param {GuessRound} round
+   * @returns {BookmarkResult|null} see bookmarks.js
+   */
+  function bookmarkResult(round) {
+    const rec = getSeenRecord(round.appId, round.history);
+    if (!rec || rec.correct == null) return null;
+    return {
+      questionType: round.questionType,
+      correct: rec.correct,
+      picked: rec.picked,
+      answer: round.questionType === "year" ? rec.trueYear : rec.trueCount,
+    };
+  }
+
+  /**
+   * Store the finished guess with everything needed to analyse it later.
+   */
+  function recordGuess(wrap, round, correct, details) {
+    const shownAt = Number(wrap.dataset.shownAt);
+    wrap.querySelector(".ext-skip")?.remove();
+    // A game guessed before (a reviewed mistake, the daily, a page opened
+    // again) keeps its first result; markGameAsSeen adds this as an attempt
+    markGameAsSeen(
+      round.appId,
+      correct,
+      {
+        ...details,
+        durationMs: Number.isFinite(shownAt) ? Date.now() - shownAt : null,
+        source: wrap.dataset.source || "direct",
+        percentPositive: round.sentiment ? round.sentiment.percent : null,
+        sentiment: round.sentiment ? round.sentiment.label : null,
+      },
+      round.history
+    );
+    // A game saved before guessing gets the result now
+    updateBookmarkResult(
+      bookmarkStore(round),
+      round.appId,
+      bookmarkResult(round)
+    );
+
+    // Only asked where Steam shows a label at all. The reveal waits for
+    // it, since Steam's review summary gives the label away.
+    if (
+      round.sentiment &&
+      round.sentiment.label &&
+      !round.daily &&
+      !round.review &&
+      getSettings().askSentiment
+    ) {
+      renderSentimentQuestion(wrap, round, details.score, () =>
+        renderReveal(wrap, round, details.picked)
+      );
+    } else {
+      renderReveal(wrap, round, details.picked);
+    }
+
+    if (round.run) {
+      ns.recordRunResult(round.appId, {
+        correct,
+        picked: details.picked,
+        answer: details.trueCount ?? details.trueYear ?? null,
+        score: details.score,
+        questionType: round.questionType,
+      }).then((run) => run && ns.renderRunFooter(wrap, run));
     }
 
-    return picks;
+    if (round.daily) {
+      ns.recordDailyResult(round.appId, {
+        correct,
+        picked: details.picked,
+        trueCount: details.trueCount,
+      }).then(() => ns.renderDailyFooter(wrap));
+    }
   }
 
+  /**
+   * Pass on this game without guessing (a soundtrack, a broken page, ...):
+   * it is stored as skipped, so Next won't pick it again, and we move on.
+   *
+   * @param {HTMLElement} wrap
+   * @param {GuessRound} round
+   */
+  function skipGame(wrap, round) {
+    if (wrap.dataset.locked === "1") return;
+    wrap.dataset.locked = "1";
+
+    const shownAt = Number(wrap.dataset.shownAt);
+    markGameAsSkipped(
+      round.appId,
+      {
+        trueCount: round.trueCount ?? null,
+        trueYear: round.trueYear ?? null,
+        durationMs: Number.isFinite(shownAt) ? Date.now() - shownAt : null,
+        source: wrap.dataset.source || "direct",
+      },
+      round.history
+    );
+    announce(wrap, "Skipped");
 
+    // A run gets another game in its place; it does not count as played.
+    // GOG has no list of games to go on to, so its page stays open.
+    if (round.run) ns.skipRunGame(round.appId);
+    else if (round.history !== "gog") {
+      ns.navigateToRandomApp(getSettings().defaultNextMode);
+    }
+  }
+
+  /**
+   * "Skip" link after the question's note (not offered in the daily, nor
+   * when reviewing a mistake, whose first result must stay).
+   *
+   * @param {HTMLElement} wrap
+   * @param {GuessRound} round
+   * @param {HTMLElement} note
+   */
+  function renderSkipLink(wrap, round, note) {
+    if (round.review) return;
+    const skip = document.createElement("a");
+    skip.href = "#";
+    skip.className = "ext-mode-toggle ext-skip";
+    skip.textContent = "Skip this game";
+    skip.title = "Don't guess; Next won't pick this game again";
+    skip.addEventListener(
+      "click",
+      (e) => {
+        e.preventDefault();
+        skipGame(wrap, round);
+      },
+      { passive: false }
+    );
+    note.appendChild(document.createTextNode(" · "));
+    note.appendChild(skip);
+  }
 
+  /**
+   * Once the round is over: the answer next to the pick, and everything
+   * the extension hid on this page shown again.
+   *
+   * @param {HTMLElement} wrap
+   * @param {GuessRound} round
+   * @param {number} picked
+   */
+  function renderReveal(wrap, round, picked) {
+    const rows =
+      round.questionType === "year"
+        ? [
+            ["Released", String(round.trueYear)],
+            [
+              "Your pick",
+              `${picked} (${describeYearOff(picked, round.trueYear)})`,
+            ],
+          ]
+        : [
+            ["Reviews", formatNum(round.trueCount)],
+            [
+              "Your pick",
+              `${formatNum(picked)} ` +
+                `(${describeCountOff(picked, round.trueCount)})`,
+            ],
+          ];
 
+    if (round.review) rows.push(["Next review", describeNextReview(round)]);
+
+    const { sentiment } = round;
+    if (sentiment) {
+      rows.push([
+        "Rating",
+        sentiment.label
+          ? `${sentiment.label} (${sentiment.percent}% positive)`
+          : `${sentiment.percent}% positive`,
+      ]);
+    }
+
+    wrap.querySelector(".ext-reveal")?.remove();
+    const panel = document.createElement("dl");
+    panel.className = "ext-reveal";
+    rows.forEach(([term, value]) => {
+      const dt = document.createElement("dt");
+      dt.textContent = term;
+      const dd = document.createElement("dd");
+      dd.textContent = value;
+      panel.appendChild(dt);
+      panel.appendChild(dd);
+    });
+    wrap.appendChild(panel);
+
+    revealSpoilers(round.appId);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Widget rendering
+  // ---------------------------------------------------------------------------
+
+  /**
+   * @typedef {Object} GuessRound
+   * @property {string} appId
+   * @property {"reviews"|"year"} questionType
+   * @property {"reviews"|"year"|"gog"} history - where the guess is stored
+   * @property {number|null} trueYear - release year (year question)
+   * @property {number} trueCount
+   * @property {number[]} guesses - multiple-choice options
+   * @property {object|null} daily - daily challenge context, if this is one
+   * @property {SentimentQuestion|null} sentiment - the follow-up question
+   * @property {object|null} run - the run this game belongs to, if any
+   * @property {boolean} [review] - a mistake served again by "Review
+   *   mistakes"; the guess is added to its attempts
+   */
+
+  /**
+   * "Review – missed 2 times. " in front of a reviewed mistake's question.
+   *
+   * @param {GuessRound} round
+   * @returns {string}
+   */
+  function describeReview(round) {
+    if (!round.review) return "";
+    const state = getReviewState(getSeenRecord(round.appId, round.history));
+    const misses = state ? state.misses : 1;
+    return `Review – missed ${misses} time${misses === 1 ? "" : "s"}. `;
+  }
+
+  /**
+   * Whether the game is a mistake being guessed again, however it was
+   * opened: its stored first guess was wrong.
+   *
+   * @param {string} appId
+   * @param {"reviews"|"year"} history
+   * @returns {boolean}
+   */
+  function isReviewRound(appId, history) {
+    const rec = getSeenRecord(appId, history);
+    return !!rec && rec.correct === false;
+  }
+
+  /**
+   * (Re)build the guessing UI inside the widget for the current mode.
+   * The option set is passed in so switching modes never reshuffles it.
+   *
+   * @param {HTMLElement} wrap
+   * @param {GuessRound} round
+   */
+  function renderGuessUi(wrap, round) {
+    wrap.innerHTML = "";
+    wrap.style.removeProperty("--ext-guess-columns");
+
+    // Present before anything is announced, so screen readers pick it up
+    const live = document.createElement("div");
+    live.className = "ext-live";
+    live.setAttribute("role", "status");
+    live.setAttribute("aria-live", "polite");
+    wrap.appendChild(live);
+    installAnswerKeys();
+
+    // "Save for later"; content.css keeps it at the bottom
+    renderBookmarkControl(wrap, {
+      store: bookmarkStore(round),
+      appId: round.appId,
+      result: () => bookmarkResult(round),
+    });
+
+    if (round.run) ns.renderRunProgress(wrap, round.run);
+
+    if (round.questionType === "year") {
+      renderYearGuess(wrap, round);
+      const note = document.createElement("div");
+      note.className = "ext-subtle";
+      note.textContent =
+        describeReview(round) + "Guess the year this game was released.";
+      wrap.appendChild(note);
+      renderSkipLink(wrap, round, note);
+      return;
+    }
+    // The daily is always multiple choice so everyone gets the same options
+    const mode = round.daily ? "choice" : getSettings().guessMode;
+
+    if (mode === "text") {
+      renderTextGuess(wrap, round);
+    } else {
+      renderChoiceGuess(wrap, round);
+    }
+
+    const note = document.createElement("div");
+    note.className = "ext-subtle";
+    note.textContent =
+      round.history === "gog"
+        ? "Guess how many user reviews this game has on GOG."
+        : mode === "text"
+        ? "Type your guess for the All Reviews count (all languages)."
+        : "Guess the All Reviews count (all languages).";
+    note.textContent = describeReview(round) + note.textContent;
+    wrap.appendChild(note);
+
+    if (round.daily) {
+      const { index, total } = round.daily;
+      note.textContent =
+        `Daily challenge – game ${index + 1}/${total}. ` + note.textContent;
+      if (round.daily.result) ns.renderDailyFooter(wrap);
+      return;
+    }
+
+    const toggle = document.createElement("a");
+    toggle.href = "#";
+    toggle.className = "ext-mode-toggle";
+    toggle.textContent =
+      mode === "text" ? "Show choices" : "Type a number instead";
+    toggle.addEventListener(
+      "click",
+      (e) => {
+        e.preventDefault();
+        if (wrap.dataset.locked === "1") return;
+        saveSettings({ guessMode: mode === "text" ? "choice" : "text" });
+        renderGuessUi(wrap, round);
+        wrap.querySelector(".ext-text-guess input")?.focus();
+      },
+      { passive: false }
+    );
+    note.appendChild(document.createTextNode(" "));
+    note.appendChild(toggle);
+    renderSkipLink(wrap, round, note);
+  }
+
+  function renderChoiceGuess(wrap, round) {
+    const { trueCount, guesses } = round;
+    wrap.style.setProperty(
+      "--ext-guess-columns",
+      String(getGuessGridColumns(guesses.length))
+    );
+    const btns = [];
+    guesses.forEach((val) => {
+      const b = document.createElement("button");
+      b.type = "button";
+      b.dataset.value = String(val);
+      b.textContent = formatNum(val);
+      btns.push(b);
+    });
+    const group = makeAnswerGroup("How many reviews?", btns);
+    wrap.appendChild(group);
+
+    const correctAnswer = trueCount;
+    const showResult = (picked) => {
+      wrap.dataset.locked = "1";
+      btns.forEach((btn) => {
+        const val = parseInt(btn.dataset.value, 10);
+        if (val === correctAnswer) btn.classList.add("correct");
+        if (val === picked && val !== correctAnswer)
+          btn.classList.add("wrong");
+        btn.disabled = true;
+        btn.setAttribute("aria-disabled", "true");
+        btn.style.pointerEvents = "none";
+      });
+      lockAnswerGroup(
+        group,
+        btns.find((btn) => parseInt(btn.dataset.value, 10) === picked) || null
+      );
+    };
+
+    // A daily game that was already answered: show it, don't guess again
+    if (round.daily && round.daily.result) {
+      showResult(round.daily.result.picked);
+      renderReveal(wrap, round, round.daily.result.picked);
+      return;
+    }
+
+    const mark = (picked) => {
+      if (wrap.dataset.locked === "1") return;
+      showResult(picked);
+
+      // Mark this game as seen when a guess is made, including whether guess was correct
+      const wasCorrect = picked === correctAnswer;
+      recordGuess(wrap, round, wasCorrect, {
+        picked,
+        trueCount: correctAnswer,
+        options: guesses,
+        guessMode: "choice",
+        score: wasCorrect ? 1 : 0,
+      });
+
+      announce(
+        wrap,
+        wasCorrect
+          ? `Correct, ${formatNum(correctAnswer)} reviews.`
+          : `Wrong. The answer was ${formatNum(correctAnswer)} reviews, ` +
+              `you picked ${formatNum(picked)}.`
+      );
+      // Keyboard users continue with the rating question, if it is asked
+      wrap.querySelector('.ext-sentiment [role="radio"]')?.focus();
+    };
+    btns.forEach((b) =>
+      b.addEventListener(
+        "click",
+        () => mark(parseInt(b.dataset.value, 10)),
+        { once: true }
+      )
+    );
+  }
+
+  function renderTextGuess(wrap, round) {
+    const { trueCount } = round;
+    const form = document.createElement("form");
+    form.className = "ext-text-guess";
+
+    const input = document.createElement("input");
+    input.type = "text";
+    input.inputMode = "numeric";
+    input.autocomplete = "off";
+    input.placeholder = "e.g. 12 345 or 12k";
+    input.setAttribute("aria-label", "Your review count guess");
+
+    const submit = document.createElement("button");
+    submit.type = "submit";
+    submit.textContent = "Guess";
+
+    const result = document.createElement("div");
+    result.className = "ext-text-result";
+
+    form.appendChild(input);
+    form.appendChild(submit);
+    wrap.appendChild(form);
+    wrap.appendChild(result);
+
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      if (wrap.dataset.locked === "1") return;
+
+      const picked = parseGuessInput(input.value);
+      if (picked == null) {
+        result.className = "ext-text-result ext-error";
+        result.textContent = "Please enter a number.";
+        announce(wrap, result.textContent);
+        return;
+      }
+      wrap.dataset.locked = "1";
+
+      const score = scoreLogGuess(picked, trueCount);
+      const ratio = guessRatio(picked, trueCount);
+      const wasCorrect = ratio <= TEXT_GUESS_CORRECT_RATIO;
+      recordGuess(wrap, round, wasCorrect, {
+        picked,
+        trueCount,
+        options: null,
+        guessMode: "text",
+        score,
+      });
+
+      input.disabled = true;
+      submit.disabled = true;
+      submit.classList.add(wasCorrect ? "correct" : "wrong");
+
+      result.className = "ext-text-result";
+      result.textContent =
+        `Answer: ${formatNum(trueCount)} reviews. ` +
+        `You guessed ${formatNum(picked)} ` +
+        `(${describeCountOff(picked, trueCount)})` +
+        ` · ${Math.round(score * 100)} points`;
+      announce(wrap, result.textContent);
+      wrap.querySelector('.ext-sentiment [role="radio"]')?.focus();
+    });
+  }
+
+  function renderYearGuess(wrap, round) {
+    const { trueYear } = round;
+    const maxYear = new Date().getFullYear();
+
+    const form = document.createElement("form");
+    form.className = "ext-year-guess";
+
+    const slider = document.createElement("input");
+    slider.type = "range";
+    slider.min = String(ns.YEAR_MIN);
+    slider.max = String(maxYear);
+    slider.step = "1";
+    slider.value = String(Math.round((ns.YEAR_MIN + maxYear) / 2));
+    slider.setAttribute("aria-label", "Your release year guess");
+
+    const output = document.createElement("output");
+    output.textContent = slider.value;
+    slider.addEventListener("input", () => {
+      output.textContent = slider.value;
+    });
+
+    const submit = document.createElement("button");
+    submit.type = "submit";
+    submit.textContent = "Guess";
+
+    const result = document.createElement("div");
+    result.className = "ext-text-result";
+
+    form.appendChild(slider);
+    form.appendChild(output);
+    form.appendChild(submit);
+    wrap.appendChild(form);
+    wrap.appendChild(result);
+
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      if (wrap.dataset.locked === "1") return;
+      wrap.dataset.locked = "1";
+
+      const picked = parseInt(slider.value, 10);
+      const score = scoreYearGuess(picked, trueYear);
+      const wasCorrect = isYearGuessCorrect(picked, trueYear);
+      recordGuess(wrap, round, wasCorrect, {
+        picked,
+        trueYear,
+        options: null,
+        guessMode: null,
+        score,
+      });
+
+      slider.disabled = true;
+      submit.disabled = true;
+      submit.classList.add(wasCorrect ? "correct" : "wrong");
+
+      result.textContent =
+        `Released in ${trueYear}. You guessed ${picked} ` +
+        `(${describeYearOff(picked, trueYear)})` +
+        ` · ${Math.round(score * 100)} points`;
+      announce(wrap, result.textContent);
+    });
+  }
 
   function ensureLoadingWidget(container, appId) {
     let wrap = container.querySelector(
@@ -199,10 +1100,45 @@
     return wrap;
   }
 
+  /**
+   * What the widget asks about this game. The daily (and GOG) is always
+   * about review counts; a run keeps the question type it was started
+   * with; otherwise the setting decides.
+   *
+   * @param {string|null} appId
+   * @param {boolean} gog
+   * @returns {Promise<{questionType: "reviews"|"year", daily: object|null, run: Run|null}>}
+   */
+  async function resolveQuestion(appId, gog) {
+    const daily =
+      !gog && ns.getDailyGame ? await ns.getDailyGame(appId) : null;
+    const run = daily || gog ? null : await ns.getRunForApp(appId);
+    const questionType =
+      daily || gog
+        ? "reviews"
+        : run
+        ? run.questionType
+        : getSettings().questionType;
+    return { questionType, daily, run };
+  }
+
+  /**
+   * The question type of the current page (see resolveQuestion).
+   * @returns {Promise<"reviews"|"year">}
+   */
+  async function getPageQuestionType() {
+    const gog = isGogProductPage();
+    return (await resolveQuestion(getCurrentGameId(), gog)).questionType;
+  }
+
   async function injectSteamGuessingGame() {
-    if (!isSteamAppPage()) return;
+    // GOG product pages get the same widget, for the review count only
+    const gog = isGogProductPage();
+    if (!isSteamAppPage() && !gog) return;
 
-    const appId = getCurrentSteamAppId() || "unknown";
+    // GOG renders its product id late; the next DOM pass tries again
+    const appId = getCurrentGameId() || (gog ? null : "unknown");
+    if (!appId) return;
 
     const existingWrap = document.querySelector(
       `.ext-steam-guess[data-ext-appid="${appId}"]`
@@ -233,6 +1169,27 @@
       return;
     }
 
+    const { questionType, daily, run } = await resolveQuestion(appId, gog);
+    if (wrap.dataset.state === "ready") return;
+
+    // Release year question; games without a known year (coming soon, ...)
+    // fall back to the review count question
+    const trueYear = questionType === "year" ? getReleaseYear() : null;
+    if (trueYear != null) {
+      wrap.dataset.source = getNavigationSource(appId);
+      wrap.dataset.shownAt = String(Date.now());
+      renderGuessUi(wrap, {
+        appId,
+        questionType: "year",
+        history: "year",
+        trueYear,
+        run,
+        review: !run && isReviewRound(appId, "year"),
+      });
+      wrap.dataset.state = "ready";
+      return;
+    }
+
     let trueCount = wrap.dataset.truecount
       ? parseInt(wrap.dataset.truecount, 10)
       : null;
@@ -250,56 +1207,34 @@
     }
 
     if (wrap.dataset.state !== "ready") {
-      const guesses = buildGuessSet(trueCount);
+      const guesses = buildGuessSet(
+        trueCount,
+        daily
+          ? ns.getDailyGuessOptions(daily.dateKey, appId)
+          : getGuessSetOptions(getSettings())
+      );
       wrap.dataset.guesses = JSON.stringify(guesses);
-      wrap.innerHTML = "";
-
-      const btns = [];
-      guesses.forEach((val) => {
-        const b = document.createElement("button");
-        b.type = "button";
-        b.dataset.value = String(val);
-        b.textContent = formatNum(val);
-        btns.push(b);
-        wrap.appendChild(b);
+      wrap.dataset.source = getNavigationSource(appId);
+      wrap.dataset.shownAt = String(Date.now());
+      const sentiment = gog ? null : buildSentimentQuestion(trueCount);
+      renderGuessUi(wrap, {
+        appId,
+        questionType: "reviews",
+        history: gog ? "gog" : "reviews",
+        trueCount,
+        guesses,
+        daily,
+        sentiment,
+        run,
+        review: !daily && !run && !gog && isReviewRound(appId, "reviews"),
       });
-
-      const note = document.createElement("div");
-      note.className = "ext-subtle";
-      note.textContent =
-        "Guess the All Reviews count (all languages).";
-      wrap.appendChild(note);
-
-      const correctAnswer = trueCount;
-      const mark = (picked) => {
-        if (wrap.dataset.locked === "1") return;
-        wrap.dataset.locked = "1";
-        
-        // Mark this game as seen when a guess is made, including whether guess was correct
-        const wasCorrect = picked === correctAnswer;
-        markGameAsSeen(appId, wasCorrect);
-        
-        btns.forEach((btn) => {
-          const val = parseInt(btn.dataset.value, 10);
-          if (val === correctAnswer) btn.classList.add("correct");
-          if (val === picked && val !== correctAnswer)
-            btn.classList.add("wrong");
-          btn.disabled = true;
-          btn.setAttribute("aria-disabled", "true");
-          btn.style.pointerEvents = "none";
-        });
-      };
-      btns.forEach((b) =>
-        b.addEventListener(
-          "click",
-          () => mark(parseInt(b.dataset.value, 10)),
-          { once: true }
-        )
-      );
-
       wrap.dataset.state = "ready";
     }
   }
 
+  ns.DIFFICULTY_PRESETS = DIFFICULTY_PRESETS;
+  ns.buildGuessSet = buildGuessSet;
+  ns.scoreLogGuess = scoreLogGuess;
+  ns.getPageQuestionType = getPageQuestionType;
   ns.injectSteamGuessingGame = injectSteamGuessingGame;
 })(window);
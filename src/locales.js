@@ -0,0 +1,315 @@
+(function (root) {
+  const ns = (root.ReviewGuesser = root.ReviewGuesser || {});
+
+  /**
+   * Steam UI strings we still have to match by text, per Steam language
+   * (keys follow Steam's own `?l=` language names).
+   *
+   * Extraction and hiding prefer structural signals (data attributes,
+   * itemprop metadata, ids). This table is only the fallback for places
+   * where Steam gives us nothing but a label.
+   *
+   * Every field is a list of phrases. Not every language has every field
+   * yet: a missing field simply doesn't match, and the extractors that
+   * read text ("overallSummary", "reviewScoreSummaries", "noReviews" in
+   * reviewCounts.js) then find nothing and leave the count to the
+   * structural ones; they never read a missing phrase as "no reviews".
+   * Only add phrases copied from a Steam page in that language.
+   *
+   * "noReviews" is Steam's full sentence and may be looked for in the
+   * review area; the short "noUserReviews" labels only mean something
+   * inside a review summary (they also turn up in DLC rows and the like).
+   */
+  const STEAM_LOCALE_STRINGS = {
+    english: {
+      allReviews: ["All Reviews"],
+      recentReviews: ["Recent Reviews"],
+      overallReviews: ["Overall Reviews"],
+      noReviews: ["There are no reviews for this product"],
+      noUserReviews: ["No user reviews", "No reviews"],
+      publisher: ["Publisher"],
+      curators: ["What Curators Say"],
+    },
+    german: {
+      allReviews: ["Alle Rezensionen"],
+      recentReviews: ["Neueste Rezensionen", "Kürzliche Rezensionen"],
+      overallReviews: ["Rezensionen insgesamt", "Gesamtrezensionen"],
+      noReviews: [
+        "Es gibt noch keine Rezensionen für dieses Produkt",
+        "Für dieses Produkt gibt es keine Rezensionen",
+      ],
+      noUserReviews: ["Keine Nutzerrezensionen"],
+      publisher: ["Publisher"],
+      curators: ["Was Kuratoren sagen"],
+    },
+    french: {
+      allReviews: ["Toutes les évaluations"],
+      recentReviews: ["Évaluations récentes"],
+      overallReviews: ["Évaluations globales"],
+      noReviews: ["Il n'y a aucune évaluation pour ce produit"],
+      noUserReviews: ["Aucune évaluation d'utilisateur"],
+      publisher: ["Éditeur"],
+      curators: ["Ce qu'en disent les curateurs", "Ce que disent les curateurs"],
+    },
+    spanish: {
+      allReviews: ["Todas las reseñas"],
+      recentReviews: ["Reseñas recientes"],
+      overallReviews: ["Reseñas generales"],
+      noReviews: ["No hay reseñas para este producto"],
+      noUserReviews: ["No hay reseñas de usuarios"],
+      publisher: ["Editor"],
+      curators: ["Lo que dicen los mentores"],
+    },
+    latam: {
+      allReviews: ["Todas las reseñas"],
+      recentReviews: ["Reseñas recientes"],
+      overallReviews: ["Reseñas generales"],
+      noReviews: ["No hay reseñas para este producto"],
+      noUserReviews: ["No hay reseñas de usuarios"],
+      publisher: ["Distribuidor", "Editor"],
+      curators: ["Lo que dicen los curadores"],
+    },
+    italian: {
+      allReviews: ["Tutte le recensioni"],
+      recentReviews: ["Recensioni recenti"],
+      overallReviews: ["Recensioni complessive"],
+      noReviews: ["Non ci sono recensioni per questo prodotto"],
+      publisher: ["Editore"],
+      curators: ["Cosa dicono i curatori"],
+    },
+    portuguese: {
+      allReviews: ["Todas as análises"],
+      recentReviews: ["Análises recentes"],
+      overallReviews: ["Análises globais"],
+      noReviews: ["Não existem análises para este produto"],
+      publisher: ["Editora"],
+      curators: ["O que dizem os curadores"],
+    },
+    brazilian: {
+      allReviews: ["Todas as análises"],
+      recentReviews: ["Análises recentes"],
+      overallReviews: ["Análises gerais"],
+      noReviews: ["Não há análises para este produto"],
+      noUserReviews: ["Nenhuma análise de usuário"],
+      publisher: ["Distribuidora"],
+      curators: ["O que dizem os curadores"],
+    },
+    russian: {
+      allReviews: ["Все обзоры"],
+      recentReviews: ["Недавние обзоры"],
+      overallReviews: ["Обзоры в целом"],
+      noReviews: ["Обзоров на этот продукт пока нет"],
+      publisher: ["Издатель"],
+      curators: ["Мнения кураторов"],
+    },
+    ukrainian: {
+      allReviews: ["Усі огляди"],
+      recentReviews: ["Нещодавні огляди"],
+      publisher: ["Видавець"],
+      curators: ["Що кажуть куратори"],
+    },
+    polish: {
+      allReviews: ["Wszystkie recenzje"],
+      recentReviews: ["Najnowsze recenzje", "Ostatnie recenzje"],
+      noReviews: ["Ten produkt nie ma jeszcze recenzji"],
+      publisher: ["Wydawca"],
+      curators: ["Co mówią kuratorzy"],
+    },
+    czech: {
+      allReviews: ["Všechny recenze"],
+      recentReviews: ["Nedávné recenze"],
+      publisher: ["Vydavatel"],
+      curators: ["Co říkají kurátoři"],
+    },
+    hungarian: {
+      allReviews: ["Összes értékelés"],
+      recentReviews: ["Friss értékelések", "Legutóbbi értékelések"],
+      publisher: ["Kiadó"],
+    },
+    romanian: {
+      allReviews: ["Toate recenziile"],
+      recentReviews: ["Recenzii recente"],
+      publisher: ["Editor"],
+    },
+    bulgarian: {
+      allReviews: ["Всички рецензии"],
+      recentReviews: ["Скорошни рецензии"],
+      publisher: ["Издател"],
+    },
+    greek: {
+      allReviews: ["Όλες οι αξιολογήσεις"],
+      recentReviews: ["Πρόσφατες αξιολογήσεις"],
+      publisher: ["Εκδότης"],
+    },
+    turkish: {
+      allReviews: ["Tüm İncelemeler"],
+      recentReviews: ["Son İncelemeler"],
+      publisher: ["Yayımcı"],
+      curators: ["Küratörler Ne Diyor"],
+    },
+    dutch: {
+      allReviews: ["Alle recensies"],
+      recentReviews: ["Recente recensies"],
+      noReviews: ["Er zijn geen recensies voor dit product"],
+      publisher: ["Uitgever"],
+      curators: ["Wat curatoren zeggen"],
+    },
+    danish: {
+      allReviews: ["Alle anmeldelser"],
+      recentReviews: ["Seneste anmeldelser", "Nylige anmeldelser"],
+      publisher: ["Udgiver"],
+    },
+    norwegian: {
+      allReviews: ["Alle anmeldelser"],
+      recentReviews: ["Nylige anmeldelser"],
+      publisher: ["Utgiver"],
+    },
+    swedish: {
+      allReviews: ["Alla recensioner"],
+      recentReviews: ["Senaste recensionerna", "Senaste recensioner"],
+      publisher: ["Utgivare"],
+    },
+    finnish: {
+      allReviews: ["Kaikki arvostelut"],
+      recentReviews: ["Viimeaikaiset arvostelut"],
+      publisher: ["Julkaisija"],
+    },
+    japanese: {
+      allReviews: ["すべてのレビュー"],
+      recentReviews: ["最近のレビュー"],
+      noReviews: ["この製品にはまだレビューがありません"],
+      publisher: ["パブリッシャー", "販売元"],
+      curators: ["キュレーターの評価"],
+    },
+    koreana: {
+      allReviews: ["모든 평가"],
+      recentReviews: ["최근 평가"],
+      noReviews: ["이 제품에 대한 평가가 없습니다"],
+      publisher: ["배급사"],
+      curators: ["큐레이터 평가"],
+    },
+    schinese: {
+      allReviews: ["全部评测"],
+      recentReviews: ["最近评测"],
+      noReviews: ["此产品尚无评测"],
+      publisher: ["发行商"],
+      curators: ["鉴赏家怎么说"],
+    },
+    tchinese: {
+      allReviews: ["所有評論"],
+      recentReviews: ["最近評論"],
+      noReviews: ["此產品尚無評論"],
+      publisher: ["發行商"],
+      curators: ["鑑賞家怎麼說"],
+    },
+    thai: {
+      allReviews: ["บทวิจารณ์ทั้งหมด"],
+      recentReviews: ["บทวิจารณ์ล่าสุด"],
+      publisher: ["ผู้จัดจำหน่าย"],
+    },
+    vietnamese: {
+      allReviews: ["Tất cả đánh giá"],
+      recentReviews: ["Đánh giá gần đây"],
+      publisher: ["Nhà phát hành"],
+    },
+    indonesian: {
+      allReviews: ["Semua Ulasan"],
+      recentReviews: ["Ulasan Terbaru"],
+      publisher: ["Penerbit"],
+    },
+    arabic: {
+      allReviews: ["جميع المراجعات"],
+      recentReviews: ["المراجعات الحديثة"],
+      publisher: ["الناشر"],
+    },
+  };
+
+  /**
+   * Lowercase, collapse whitespace (incl. NBSP) and drop a trailing colon,
+   * so labels like "Éditeur :" and "Publisher:" compare cleanly.
+   *
+   * @param {string} s
+   * @returns {string}
+   */
+  function normalizeLabel(s) {
+    return (s || "")
+      .replace(/[\s\u00A0]+/g, " ")
+      .trim()
+      .replace(/\s*[:：]$/, "")
+      .toLowerCase();
+  }
+
+  // field -> lowercase phrases across all languages (built lazily)
+  const PHRASE_CACHE = Object.create(null);
+
+  /**
+   * All known phrases for one field, across every language.
+   *
+   * @param {string} field - e.g. "publisher", "noReviews"
+   * @returns {string[]} normalized (lowercase) phrases
+   */
+  function getLocalePhrases(field) {
+    if (PHRASE_CACHE[field]) return PHRASE_CACHE[field];
+
+    const set = new Set();
+    Object.values(STEAM_LOCALE_STRINGS).forEach((lang) => {
+      (lang[field] || []).forEach((p) => set.add(normalizeLabel(p)));
+    });
+
+    PHRASE_CACHE[field] = [...set];
+    return PHRASE_CACHE[field];
+  }
+
+  /**
+   * Does the text contain any known phrase for the field?
+   *
+   * @param {string} text
+   * @param {string} field
+   * @returns {boolean}
+   */
+  function textHasLocalePhrase(text, field) {
+    const t = normalizeLabel(text);
+    if (!t) return false;
+    return getLocalePhrases(field).some((p) => t.includes(p));
+  }
+
+  /**
+   * Is the text exactly one of the known labels for the field?
+   * (ignoring case, whitespace and a trailing colon)
+   *
+   * @param {string} text
+   * @param {string} field
+   * @returns {boolean}
+   */
+  function isLocaleLabel(text, field) {
+    const t = normalizeLabel(text);
+    if (!t) return false;
+    return getLocalePhrases(field).includes(t);
+  }
+
+  /**
+   * Build a case-insensitive regex matching any phrase of the given fields.
+   *
+   * @param {string[]} fields
+   * @returns {RegExp}
+   */
+  function buildLocaleRegex(fields) {
+    const parts = [];
+    fields.forEach((f) =>
+      getLocalePhrases(f).forEach((p) =>
+        parts.push(
+          p.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/ /g, "\\s+")
+        )
+      )
+    );
+    return new RegExp("(?:" + parts.join("|") + ")", "i");
+  }
+
+  // Expose
+  ns.STEAM_LOCALE_STRINGS = STEAM_LOCALE_STRINGS;
+  ns.normalizeLabel = normalizeLabel;
+  ns.getLocalePhrases = getLocalePhrases;
+  ns.textHasLocalePhrase = textHasLocalePhrase;
+  ns.isLocaleLabel = isLocaleLabel;
+  ns.buildLocaleRegex = buildLocaleRegex;
+})(window);
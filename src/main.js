@@ -1,63 +1,117 @@
 (function (root) {
   const ns = (root.ReviewGuesser = root.ReviewGuesser || {});
 
+  // Steam's front page only gets a content script run when Steam
+  // redirected a removed game there; this is that game (see below)
+  const onHomePage = ns.isSteamHomePage && ns.isSteamHomePage();
+  let delistedAppId = null;
+
   function run() {
+    if (onHomePage) {
+      if (!ns.handleUnavailableApp(delistedAppId, "delisted")) {
+        ns.installDelistedNotice(delistedAppId);
+      }
+      return;
+    }
+
     if (ns.hideAllSteamReviewCounts) {
       ns.hideAllSteamReviewCounts();
     }
 
+    if (ns.isAgeGatePage && ns.isAgeGatePage()) {
+      ns.handleAgeGate(ns.getCurrentSteamAppId());
+      return;
+    }
+
     if (ns.isUnavailableRegionPage && ns.isUnavailableRegionPage()) {
-      ns.installNextGameButtonOnOops &&
-        ns.installNextGameButtonOnOops();
+      const appId = ns.getCurrentSteamAppId();
+      if (!ns.handleUnavailableApp(appId, "region")) {
+        ns.installNextGameButtonOnOops && ns.installNextGameButtonOnOops();
+      }
       return;
     }
 
+    ns.resetAutoSkips && ns.resetAutoSkips();
     ns.installNextGameButton && ns.installNextGameButton();
     ns.injectSteamGuessingGame && ns.injectSteamGuessingGame();
   }
 
-  // Initial run
-  run();
-
-  // React to DOM mutations (SPA / dynamic content)
-  let scheduled = false;
-  const obs = new MutationObserver(() => {
-    if (scheduled) return;
-    scheduled = true;
-    requestAnimationFrame(() => {
-      run();
-      scheduled = false;
+  // Flag the page right away so content.css hides spoilers while the
+  // settings are still loading; dropped again if the extension is off.
+  // The front page has nothing to hide.
+  if (!onHomePage) document.documentElement.classList.add("ext-active");
+
+  function start() {
+    // Initial run
+    run();
+
+    // React to DOM mutations (SPA / dynamic content)
+    let scheduled = false;
+    const obs = new MutationObserver(() => {
+      if (scheduled) return;
+      scheduled = true;
+      requestAnimationFrame(() => {
+        run();
+        scheduled = false;
+      });
+    });
+
+    obs.observe(document.documentElement, {
+      childList: true,
+      subtree: true,
     });
-  });
-
-  obs.observe(document.documentElement, {
-    childList: true,
-    subtree: true,
-  });
-
-  // History hook for SPA navigation
-  (function hookHistory() {
-    if (window.__extHistoryHooked) return;
-    window.__extHistoryHooked = true;
-
-    const dispatch = () =>
-      window.dispatchEvent(new Event("ext:locationchange"));
-
-    const origPush = history.pushState;
-    history.pushState = function () {
-      origPush.apply(this, arguments);
-      dispatch();
-    };
-
-    const origReplace = history.replaceState;
-    history.replaceState = function () {
-      origReplace.apply(this, arguments);
-      dispatch();
-    };
-
-    window.addEventListener("popstate", dispatch);
-    window.addEventListener("ext:locationchange", () =>
-      setTimeout(() => run(), 50)
+
+    // History hook for SPA navigation
+    (function hookHistory() {
+      if (window.__extHistoryHooked) return;
+      window.__extHistoryHooked = true;
+
+      const dispatch = () =>
+        window.dispatchEvent(new Event("ext:locationchange"));
+
+      const origPush = history.pushState;
+      history.pushState = function () {
+        origPush.apply(this, arguments);
+        dispatch();
+      };
+
+      const origReplace = history.replaceState;
+      history.replaceState = function () {
+        origReplace.apply(this, arguments);
+        dispatch();
+      };
+
+      window.addEventListener("popstate", dispatch);
+      window.addEventListener("ext:locationchange", () =>
+        setTimeout(() => run(), 50)
+      );
+    })();
+  }
+
+  // Settings first (they decide whether we run and whether history syncs),
+  // then the seen games history, which the Next buttons need synchronously.
+  (async () => {
+    const settings = ns.loadSettings ? await ns.loadSettings() : null;
+    if (settings && !settings.enabled) {
+      document.documentElement.classList.remove("ext-active");
+      return;
+    }
+    // Lets content.css hide the release date early in the year question,
+    // and hideAllSteamReviewCounts the rest of the "year" group. The daily,
+    // GOG and runs can ask another question than the setting.
+    const questionType = ns.getPageQuestionType
+      ? await ns.getPageQuestionType()
+      : settings && settings.questionType;
+    document.documentElement.classList.toggle(
+      "ext-year",
+      questionType === "year"
     );
+    if (onHomePage) {
+      delistedAppId = ns.getDelistedRedirectAppId();
+      if (delistedAppId == null) return;
+    }
+    if (ns.loadSeenGames) await ns.loadSeenGames();
+    if (ns.loadUnavailableApps) await ns.loadUnavailableApps();
+    start();
   })();
 })(window);
@@ -0,0 +1,113 @@
+(function (root) {
+  const ns = (root.ReviewGuesser = root.ReviewGuesser || {});
+
+  const getSettings = ns.getSettings;
+  const getSeenGamesData = ns.getSeenGamesData;
+  const getUnavailableAppIds = ns.getUnavailableAppIds;
+  const rememberNavigationSource = ns.rememberNavigationSource;
+
+  // ---------------------------------------------------------------------------
+  // Review mistakes
+  //
+  // Games we guessed wrong come back, Leitner style: every correct
+  // re-guess moves a game up a box and makes it wait longer, a miss sends
+  // it back to the first box. After a correct answer in the last box it is
+  // learned and not served again. Re-guesses are added to the record's
+  // attempts; its first result stays as it was.
+  // ---------------------------------------------------------------------------
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // Wait before the next review, by box (correct re-guesses in a row)
+  const REVIEW_INTERVALS_DAYS = [1, 3, 7, 14, 30];
+
+  /**
+   * @typedef {Object} ReviewState
+   * @property {number} misses - wrong answers, the first guess included
+   * @property {number} box - correct re-guesses since the last miss
+   * @property {number} lastAt - ms since epoch of the latest answer
+   * @property {number|null} dueAt - when it may come back; null = learned
+   */
+
+  /**
+   * Where a game stands in the review schedule.
+   *
+   * @param {SeenRecord|null} rec
+   * @returns {ReviewState|null} null unless the first guess was wrong
+   */
+  function getReviewState(rec) {
+    if (!rec || rec.correct !== false || !rec.timestamp) return null;
+
+    const answers = [rec, ...rec.attempts];
+    const misses = answers.filter((a) => !a.correct).length;
+    const last = answers.length - 1;
+    let box = 0;
+    while (box <= last && answers[last - box].correct) box++;
+    const lastAt = answers[last].timestamp;
+    const dueAt =
+      box < REVIEW_INTERVALS_DAYS.length
+        ? lastAt + REVIEW_INTERVALS_DAYS[box] * DAY_MS
+        : null;
+
+    return { misses, box, lastAt, dueAt };
+  }
+
+  /**
+   * Every mistake of the current question's history that is not learned
+   * yet (unavailable games left out), with its schedule.
+   *
+   * @returns {Array<ReviewState & {appId: number}>}
+   */
+  function getMistakes() {
+    const unavailable = getUnavailableAppIds();
+    const list = [];
+    getSeenGamesData(getSettings().questionType).forEach((rec) => {
+      const state = getReviewState(rec);
+      if (!state || state.dueAt == null || unavailable.has(rec.appId)) return;
+      list.push({ appId: rec.appId, ...state });
+    });
+    return list;
+  }
+
+  /**
+   * The mistakes due now: the most missed first, then the longest waiting.
+   *
+   * @param {number} [now]
+   * @returns {Array<ReviewState & {appId: number}>}
+   */
+  function getDueMistakes(now = Date.now()) {
+    return getMistakes()
+      .filter((m) => m.dueAt <= now)
+      .sort((a, b) => b.misses - a.misses || a.dueAt - b.dueAt);
+  }
+
+  /**
+   * "Review mistakes" button: go to the first game due for review.
+   */
+  function navigateToMistake() {
+    const [next] = getDueMistakes();
+
+    if (!next) {
+      const later = getMistakes().sort((a, b) => a.dueAt - b.dueAt)[0];
+      alert(
+        later
+          ? "No mistakes to review right now.\n\n" +
+              `The next one is due ${new Date(later.dueAt).toLocaleString()}.`
+          : "No mistakes to review.\n\n" +
+              "Games you guess wrong come back here a day later."
+      );
+      return;
+    }
+
+    rememberNavigationSource(next.appId, "review");
+    window.location.assign(
+      `https://store.steampowered.com/app/${next.appId}/`
+    );
+  }
+
+  // Expose
+  ns.REVIEW_INTERVALS_DAYS = REVIEW_INTERVALS_DAYS;
+  ns.getReviewState = getReviewState;
+  ns.getDueMistakes = getDueMistakes;
+  ns.navigateToMistake = navigateToMistake;
+})(window);
@@ -3,7 +3,17 @@
 
   // Access seen games utilities
   const getSeenGames = ns.getSeenGames;
-  const getSeenGamesData = ns.getSeenGamesData;
+  const getSkippedGames = ns.getSkippedGames;
+  const getSettings = ns.getSettings;
+  const showExportPanel = ns.showExportPanel;
+  const importSeenGames = ns.importSeenGames;
+  const rememberNavigationSource = ns.rememberNavigationSource;
+  const getExtensionUrl = ns.getExtensionUrl;
+  const isEditableTarget = ns.isEditableTarget;
+  const isSteamAppPage = ns.isSteamAppPage;
+  const getSiteRules = ns.getSiteRules;
+  const shuffleInPlace = ns.shuffleInPlace;
+  const getUnavailableAppIds = ns.getUnavailableAppIds;
 
   // ---------------------------------------------------------------------------
   // CSV loading + caching
@@ -34,14 +44,7 @@
       return CSV_CACHE[relativePath];
     }
 
-    const url =
-      typeof chrome !== "undefined" &&
-      chrome.runtime &&
-      chrome.runtime.getURL
-        ? chrome.runtime.getURL(relativePath)
-        : relativePath;
-
-    CSV_CACHE[relativePath] = fetch(url)
+    CSV_CACHE[relativePath] = fetch(getExtensionUrl(relativePath))
       .then((r) => {
         if (!r.ok) throw new Error("CSV fetch failed: " + r.status);
         return r.text();
@@ -71,38 +74,69 @@
     return loadCsvIds("data/released_appids.csv");
   }
 
+  /**
+   * @typedef {Object} PickOptions
+   * @property {() => number} [random] - random source (defaults to Math.random)
+   * @property {Set<number>} [exclude] - ids to skip (defaults to the games
+   *   seen in the current question type, those skipped in any type and
+   *   those known to be unavailable)
+   */
+
+  // Random draws pickRandomId tries before it filters the whole list
+  const PICK_ATTEMPTS = 64;
+
   /**
    * Helper to pick a random element from an array of app IDs,
    * excluding any that have been seen before.
    *
+   * Draws at random until an id is acceptable (rejection sampling), which
+   * is uniform over the acceptable ids and almost always quick: even
+   * thousands of seen games are a small share of the list. Only when
+   * most of the list is ruled out does it fall back to filtering.
+   *
    * @param {number[]} ids
+   * @param {PickOptions} [options]
    * @returns {number|null}
    */
-  function pickRandomId(ids) {
+  function pickRandomId(ids, options = {}) {
     if (!ids || !ids.length) return null;
-    
-    // Filter out seen games
-    const seenGames = getSeenGames();
-    const unseenIds = ids.filter((id) => !seenGames.has(id));
-    
-    // If all games have been seen, return null to signal exhaustion
-    if (!unseenIds.length) {
-      console.log("[ext] All games in this list have been seen!");
-      return null;
+
+    const random = options.random || Math.random;
+    const exclude =
+      options.exclude || getSeenGames(getSettings().questionType);
+    // Skips and unavailable games hold whatever the question type
+    const skipped = options.exclude ? null : getSkippedGames();
+    const unavailable = options.exclude ? null : getUnavailableAppIds();
+    const isPickable = (id) =>
+      !exclude.has(id) &&
+      !(skipped && skipped.has(id)) &&
+      !(unavailable && unavailable.has(id));
+
+    for (let i = 0; i < PICK_ATTEMPTS; i++) {
+      const id = ids[Math.floor(random() * ids.length)];
+      if (isPickable(id)) return id;
     }
+
+    // Filter out seen, skipped and unavailable games
+    const unseenIds = ids.filter(isPickable);
+
+    // If all games have been seen, return null to signal exhaustion;
+    // navigateToRandomApp tells the user once every list is exhausted
+    if (!unseenIds.length) return null;
     
-    const idx = Math.floor(Math.random() * unseenIds.length);
+    const idx = Math.floor(random() * unseenIds.length);
     return unseenIds[idx];
   }
 
   /**
    * "Pure Random" strategy: pick from the global released_appids list.
    *
+   * @param {PickOptions} [options]
    * @returns {Promise<number|null>}
    */
-  async function getPureRandomAppId() {
+  async function getPureRandomAppId(options) {
     const ids = await getReleasedAppIds();
-    return pickRandomId(ids);
+    return pickRandomId(ids, options);
   }
 
   /**
@@ -113,22 +147,25 @@
    *   - if the batch is exhausted, try other batches
    *   - if all batches exhausted → fall back to Pure Random
    *
+   * @param {PickOptions} [options]
    * @returns {Promise<number|null>}
    */
-  async function getSmartRandomAppId() {
-    if (!BATCH_FILES.length) return getPureRandomAppId();
+  async function getSmartRandomAppId(options = {}) {
+    if (!BATCH_FILES.length) return getPureRandomAppId(options);
+
+    const random = options.random || Math.random;
 
     // Shuffle batch files to try them in random order
-    const shuffledBatches = [...BATCH_FILES].sort(() => Math.random() - 0.5);
-    
+    const shuffledBatches = shuffleInPlace([...BATCH_FILES], random);
+
     for (const file of shuffledBatches) {
       const ids = await loadCsvIds(file);
-      const id = pickRandomId(ids);
+      const id = pickRandomId(ids, { ...options, random });
       if (id != null) return id;
     }
 
     // Fallback to Pure Random if all batches are exhausted
-    return getPureRandomAppId();
+    return getPureRandomAppId({ ...options, random });
   }
 
   /**
@@ -136,8 +173,11 @@
    * and navigate to that app on the Steam store.
    *
    * @param {"pure"|"smart"} mode
+   * @param {{source?: string, onPick?: (appId: number) => any}} [options]
+   *   source: recorded with the guess (defaults to the mode);
+   *   onPick: called (and awaited) with the chosen id before navigating
    */
-  async function navigateToRandomApp(mode) {
+  async function navigateToRandomApp(mode, options = {}) {
     let appid = null;
 
     if (mode === "smart") {
@@ -147,10 +187,16 @@
     }
 
     if (!appid) {
-      // Fallback: Dota 2, in case everything fails
-      appid = 570;
+      alert(
+        "There are no games left in the bundled list: you have seen, " +
+          "skipped or found unavailable every one of them.\n\n" +
+          "See the README on how to refresh data/released_appids.csv."
+      );
+      return;
     }
 
+    if (options.onPick) await options.onPick(appid);
+    rememberNavigationSource(appid, options.source || mode);
     window.location.assign(
       `https://store.steampowered.com/app/${appid}/`
     );
@@ -167,6 +213,8 @@
     const a = document.createElement("a");
     a.className = "btnv6_blue_hoverfade btn_medium ext-next-game";
     a.href = "#";
+    a.title = `${label} – shortcut: ${NEXT_HOTKEYS[mode].toUpperCase()}`;
+    a.setAttribute("aria-keyshortcuts", NEXT_HOTKEYS[mode]);
 
     const span = document.createElement("span");
     span.textContent = label;
@@ -184,6 +232,145 @@
     return a;
   }
 
+  /**
+   * Create the "Review mistakes" button, with how many are due.
+   *
+   * @returns {HTMLAnchorElement}
+   */
+  function makeReviewButton() {
+    const a = document.createElement("a");
+    a.className = "btnv6_blue_hoverfade btn_medium ext-next-game ext-review";
+    a.href = "#";
+    a.title = "Another go at games you guessed wrong";
+
+    const span = document.createElement("span");
+    span.textContent = "Review mistakes";
+    a.appendChild(span);
+
+    const due = ns.getDueMistakes ? ns.getDueMistakes().length : 0;
+    if (due) span.textContent = `Review mistakes (${due})`;
+
+    a.addEventListener(
+      "click",
+      (e) => {
+        e.preventDefault();
+        ns.navigateToMistake && ns.navigateToMistake();
+      },
+      { passive: false }
+    );
+
+    return a;
+  }
+
+  /**
+   * Create the "Daily" button that starts/continues today's challenge.
+   *
+   * @returns {HTMLAnchorElement}
+   */
+  function makeDailyButton() {
+    const a = document.createElement("a");
+    a.className = "btnv6_blue_hoverfade btn_medium ext-next-game ext-daily";
+    a.href = "#";
+
+    const span = document.createElement("span");
+    span.textContent = "Daily";
+    a.appendChild(span);
+
+    a.addEventListener(
+      "click",
+      (e) => {
+        e.preventDefault();
+        ns.startDailyChallenge && ns.startDailyChallenge();
+      },
+      { passive: false }
+    );
+
+    return a;
+  }
+
+  /**
+   * Create the "Start run" button; shows the progress of an unfinished run.
+   *
+   * @returns {HTMLAnchorElement}
+   */
+  function makeRunButton() {
+    const a = document.createElement("a");
+    a.className = "btnv6_blue_hoverfade btn_medium ext-next-game ext-run";
+    a.href = "#";
+
+    const span = document.createElement("span");
+    span.textContent = "Start run";
+    a.appendChild(span);
+
+    ns.getActiveRun &&
+      ns.getActiveRun().then((run) => {
+        if (run) {
+          span.textContent =
+            `Continue run (${run.games.length + 1}/${run.length})`;
+        }
+      });
+
+    a.addEventListener(
+      "click",
+      (e) => {
+        e.preventDefault();
+        ns.startOrContinueRun && ns.startOrContinueRun();
+      },
+      { passive: false }
+    );
+
+    return a;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Keyboard shortcuts for the Next buttons
+  // ---------------------------------------------------------------------------
+
+  // Key -> mode: R for Next (Raw), B for Next (Balanced)
+  const NEXT_HOTKEYS = { pure: "r", smart: "b" };
+
+  let hotkeysInstalled = false;
+
+  /**
+   * Listen for the Next hotkeys on the whole page (once per page load).
+   * Ignored while typing and together with Ctrl/Alt/Cmd.
+   */
+  function installNextGameHotkeys() {
+    if (hotkeysInstalled) return;
+    hotkeysInstalled = true;
+
+    document.addEventListener("keydown", (e) => {
+      if (e.ctrlKey || e.altKey || e.metaKey || e.repeat) return;
+      if (isEditableTarget(e.target)) return;
+
+      const key = (e.key || "").toLowerCase();
+      const mode = Object.keys(NEXT_HOTKEYS).find(
+        (m) => NEXT_HOTKEYS[m] === key
+      );
+      if (!mode) return;
+
+      e.preventDefault();
+      navigateToRandomApp(mode);
+    });
+  }
+
+  /**
+   * Both Next buttons, with the user's default mode first and highlighted.
+   *
+   * @returns {HTMLAnchorElement[]}
+   */
+  function makeNextGameButtons() {
+    const pureBtn = makeNextGameButton("Next (Raw)", "pure");
+    const smartBtn = makeNextGameButton("Next (Balanced)", "smart");
+
+    if (getSettings().defaultNextMode === "smart") {
+      smartBtn.classList.add("ext-next-default");
+      return [smartBtn, pureBtn];
+    }
+    pureBtn.classList.add("ext-next-default");
+    return [pureBtn, smartBtn];
+  }
+
   // ---------------------------------------------------------------------------
   // Oops / region-locked page: header button(s)
   // ---------------------------------------------------------------------------
@@ -197,12 +384,30 @@
     // Avoid duplicates – if we already placed any ext-next-game, stop.
     if (header.querySelector(".ext-next-game")) return;
 
+    installNextGameHotkeys();
+
     const target =
       header.querySelector("h2.pageheader") || header;
+    const row = makeButtonRow();
 
-    // Wrap both buttons in a simple row
-    const pureBtn = makeNextGameButton("Next (Raw)", "pure");
-    const smartBtn = makeNextGameButton("Next (Balanced)", "smart");
+    if (target && target.parentElement) {
+      target.insertAdjacentElement("afterend", row);
+    } else {
+      header.appendChild(row);
+    }
+  }
+
+  /**
+   * Every button in a simple row, for pages without the Community Hub
+   * button to replace.
+   *
+   * @returns {HTMLDivElement}
+   */
+  function makeButtonRow() {
+    const nextBtns = makeNextGameButtons();
+    const reviewBtn = makeReviewButton();
+    const dailyBtn = makeDailyButton();
+    const runBtn = makeRunButton();
     const exportBtn = makeExportSeenGamesButton();
     const importBtn = makeImportSeenGamesButton();
 
@@ -210,16 +415,52 @@
     row.style.marginTop = "10px";
     row.style.display = "flex";
     row.style.gap = "8px";
-    row.appendChild(pureBtn);
-    row.appendChild(smartBtn);
+    nextBtns.forEach((btn) => row.appendChild(btn));
+    row.appendChild(reviewBtn);
+    row.appendChild(dailyBtn);
+    row.appendChild(runBtn);
     row.appendChild(exportBtn);
     row.appendChild(importBtn);
+    return row;
+  }
 
-    if (target && target.parentElement) {
-      target.insertAdjacentElement("afterend", row);
-    } else {
-      header.appendChild(row);
-    }
+  // ---------------------------------------------------------------------------
+  // Pages that are not a game page: a notice bar with the buttons
+  // ---------------------------------------------------------------------------
+
+  /**
+   * A bar above the page saying why we are here, with every button.
+   * Used where Steam's layout has no good place for them (the front page
+   * after a removed game, the age check).
+   *
+   * @param {string} message
+   */
+  function installNextGameNotice(message) {
+    if (!document.body || document.querySelector(".ext-page-notice")) return;
+
+    installNextGameHotkeys();
+
+    const notice = document.createElement("div");
+    notice.className = "ext-page-notice";
+    notice.setAttribute("role", "status");
+
+    const text = document.createElement("p");
+    text.textContent = message;
+
+    notice.append(text, makeButtonRow());
+    document.body.prepend(notice);
+  }
+
+  /**
+   * Steam redirected a removed game to its front page.
+   *
+   * @param {number} appId - the removed game
+   */
+  function installDelistedNotice(appId) {
+    installNextGameNotice(
+      `App ${appId} is no longer on the Steam store, so Steam sent you ` +
+        "to its front page. It won't be picked again."
+    );
   }
 
   // ---------------------------------------------------------------------------
@@ -227,28 +468,35 @@
   // ---------------------------------------------------------------------------
 
   function installNextGameButton() {
+    if (!isSteamAppPage()) return;
     const container = document.querySelector(
-      ".apphub_HomeHeaderContent .apphub_OtherSiteInfo"
+      getSiteRules().buttons.join(", ")
     );
     if (!container) return;
 
     // Avoid duplicates
     if (container.querySelector(".ext-next-game")) return;
 
+    installNextGameHotkeys();
+
     // Remove the original Community Hub button, if present
     const hubBtn = container.querySelector(
       "a.btnv6_blue_hoverfade.btn_medium"
     );
     if (hubBtn) hubBtn.remove();
 
-    const pureBtn = makeNextGameButton("Next (Raw)", "pure");
-    const smartBtn = makeNextGameButton("Next (Balanced)", "smart");
+    const nextBtns = makeNextGameButtons();
+    const reviewBtn = makeReviewButton();
+    const dailyBtn = makeDailyButton();
+    const runBtn = makeRunButton();
     const exportBtn = makeExportSeenGamesButton();
     const importBtn = makeImportSeenGamesButton();
 
     // Let Steam's layout handle positioning; just drop them in order
-    container.appendChild(pureBtn);
-    container.appendChild(smartBtn);
+    nextBtns.forEach((btn) => container.appendChild(btn));
+    container.appendChild(reviewBtn);
+    container.appendChild(dailyBtn);
+    container.appendChild(runBtn);
     container.appendChild(exportBtn);
     container.appendChild(importBtn);
   }
@@ -258,7 +506,7 @@
   // ---------------------------------------------------------------------------
 
   /**
-   * Create a button that exports all seen game IDs as a text file.
+   * Create a button that opens the export panel (JSON backup or CSV).
    *
    * @returns {HTMLAnchorElement}
    */
@@ -275,7 +523,7 @@
       "click",
       (e) => {
         e.preventDefault();
-        exportSeenGames();
+        showExportPanel();
       },
       { passive: false }
     );
@@ -283,48 +531,12 @@
     return a;
   }
 
-  /**
-   * Export all seen games data as a downloadable CSV file.
-   * Format: appId,correct,timestamp
-   * correct = 1 for correct, 0 for wrong, ? for unknown/legacy
-   * timestamp = ISO date string or empty for legacy entries
-   */
-  function exportSeenGames() {
-    const seenGamesData = getSeenGamesData();
-    const entries = [...seenGamesData.values()].sort((a, b) => a.appId - b.appId);
-    
-    if (entries.length === 0) {
-      alert("No games have been seen yet!");
-      return;
-    }
-
-    // Header line + data lines
-    const lines = ["appId,correct,timestamp"];
-    for (const entry of entries) {
-      const correctStr = entry.correct === true ? "1" : entry.correct === false ? "0" : "?";
-      const timestampStr = entry.timestamp ? new Date(entry.timestamp).toISOString() : "";
-      lines.push(`${entry.appId},${correctStr},${timestampStr}`);
-    }
-
-    const content = lines.join("\n");
-    const blob = new Blob([content], { type: "text/csv" });
-    const url = URL.createObjectURL(blob);
-
-    const link = document.createElement("a");
-    link.href = url;
-    link.download = `steam-review-guesser-seen-games-${new Date().toISOString().split("T")[0]}.csv`;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
-  }
-
   // ---------------------------------------------------------------------------
   // Import Seen Games button
   // ---------------------------------------------------------------------------
 
   /**
-   * Create a button that imports seen game IDs from a CSV file.
+   * Create a button that imports a JSON backup or CSV file.
    *
    * @returns {HTMLAnchorElement}
    */
@@ -346,7 +558,7 @@
         // Create file input dynamically each time to avoid DOM issues
         const fileInput = document.createElement("input");
         fileInput.type = "file";
-        fileInput.accept = ".csv,text/csv";
+        fileInput.accept = ".json,.csv,application/json,text/csv";
         fileInput.style.cssText = "position:absolute;left:-9999px;opacity:0;";
         document.body.appendChild(fileInput);
 
@@ -373,108 +585,12 @@
     return a;
   }
 
-  /**
-   * Import seen games data from a CSV file.
-   * Merges with existing data (existing entries are preserved, new entries are added).
-   * Format expected: appId,correct,timestamp (with header line)
-   *
-   * @param {File} file
-   */
-  function importSeenGames(file) {
-    const reader = new FileReader();
-
-    reader.onload = (e) => {
-      try {
-        const text = e.target.result;
-        const lines = text.split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
-
-        if (lines.length === 0) {
-          alert("The CSV file is empty.");
-          return;
-        }
-
-        // Check if first line is a header
-        const firstLine = lines[0].toLowerCase();
-        const hasHeader = firstLine.includes("appid") || firstLine.includes("correct") || firstLine.includes("timestamp");
-        const dataLines = hasHeader ? lines.slice(1) : lines;
-
-        if (dataLines.length === 0) {
-          alert("No data found in CSV file (only header).");
-          return;
-        }
-
-        // Get existing data
-        const existingData = getSeenGamesData();
-        let importedCount = 0;
-        let skippedCount = 0;
-
-        for (const line of dataLines) {
-          const parts = line.split(",");
-          if (parts.length === 0) continue;
-
-          const appIdStr = parts[0].trim();
-          const appId = parseInt(appIdStr, 10);
-
-          if (!Number.isFinite(appId) || appId <= 0) {
-            skippedCount++;
-            continue;
-          }
-
-          // Parse correct field (1=true, 0=false, ?/empty=null)
-          let correct = null;
-          if (parts.length > 1) {
-            const correctStr = parts[1].trim();
-            if (correctStr === "1") correct = true;
-            else if (correctStr === "0") correct = false;
-          }
-
-          // Parse timestamp field
-          let timestamp = null;
-          if (parts.length > 2) {
-            const timestampStr = parts[2].trim();
-            if (timestampStr) {
-              const parsed = Date.parse(timestampStr);
-              if (Number.isFinite(parsed)) {
-                timestamp = parsed;
-              }
-            }
-          }
-
-          // Only add if not already existing (don't overwrite)
-          if (!existingData.has(appId)) {
-            existingData.set(appId, {
-              appId: appId,
-              correct: correct,
-              timestamp: timestamp
-            });
-            importedCount++;
-          } else {
-            skippedCount++;
-          }
-        }
-
-        // Save merged data
-        const SEEN_GAMES_KEY = "reviewGuesser_seenGames";
-        localStorage.setItem(SEEN_GAMES_KEY, JSON.stringify([...existingData.values()]));
-
-        alert(`Import complete!\n\nImported: ${importedCount} games\nSkipped (already seen or invalid): ${skippedCount}`);
-      } catch (err) {
-        console.error("[ext] Failed to import CSV", err);
-        alert("Failed to import CSV file. Please check the file format.");
-      }
-    };
-
-    reader.onerror = () => {
-      alert("Failed to read the file.");
-    };
-
-    reader.readAsText(file);
-  }
-
   // Expose on namespace
   ns.getReleasedAppIds = getReleasedAppIds;
+  ns.getSmartRandomAppId = getSmartRandomAppId;
+  ns.navigateToRandomApp = navigateToRandomApp;
   ns.installNextGameButtonOnOops = installNextGameButtonOnOops;
+  ns.installNextGameNotice = installNextGameNotice;
+  ns.installDelistedNotice = installDelistedNotice;
   ns.installNextGameButton = installNextGameButton;
-  ns.exportSeenGames = exportSeenGames;
-  ns.importSeenGames = importSeenGames;
 })(window);
@@ -1,5 +1,6 @@
 (function (root) {
   const ns = (root.ReviewGuesser = root.ReviewGuesser || {});
+  const getSiteRules = ns.getSiteRules;
 
   /**
    * Best-effort detection of the current Steam app id.
@@ -44,21 +45,124 @@
   }
 
   /**
-   * Try to find a stable container near the user review section.
+   * Steam's age check page (/agecheck/app/<id>), which Steam puts in front
+   * of games with mature content.
    *
-   * @returns {HTMLElement|null}
+   * @returns {boolean}
    */
-  function getSteamReviewsContainer() {
+  function isAgeGatePage() {
+    return isSteamAppPage() && /^\/agecheck\/app\/\d+/.test(location.pathname);
+  }
+
+  /**
+   * Steam's front page. Steam redirects /app/<id> there when the game was
+   * removed from the store.
+   *
+   * @returns {boolean}
+   */
+  function isSteamHomePage() {
+    return isSteamAppPage() && location.pathname === "/";
+  }
+
+  // ---------------------------------------------------------------------------
+  // GOG.com product pages
+  // ---------------------------------------------------------------------------
+
+  // /game/<slug>, optionally behind a language prefix (/en/, /pt-br/, ...)
+  const GOG_PRODUCT_PATH_RX =
+    /^\/(?:[a-z]{2}(?:-[a-z]{2})?\/)?game\/([a-z0-9_]+)\/?$/i;
+
+  /**
+   * @returns {boolean}
+   */
+  function isGogProductPage() {
     return (
-      document.getElementById("userReviews") ||
-      document.querySelector(".user_reviews") ||
-      document.querySelector(".review_ctn") ||
-      document.querySelector("[data-panel='reviews']") ||
-      document.querySelector(".glance_ctn_responsive_left") ||
-      null
+      /(^|\.)gog\.com$/.test(location.host) &&
+      GOG_PRODUCT_PATH_RX.test(location.pathname)
     );
   }
 
+  /**
+   * The product slug from the URL, e.g. "the_witcher_3_wild_hunt".
+   *
+   * @returns {string|null}
+   */
+  function getCurrentGogSlug() {
+    const m = GOG_PRODUCT_PATH_RX.exec(location.pathname);
+    return m ? m[1].toLowerCase() : null;
+  }
+
+  /**
+   * GOG's numeric product id. The product card carries it as an
+   * attribute; the JSON-LD block has it as the sku.
+   *
+   * @returns {string|null}
+   */
+  function getCurrentGogProductId() {
+    const attr =
+      document.querySelector("[card-product]")?.getAttribute("card-product") ||
+      document
+        .querySelector("[data-product-id]")
+        ?.getAttribute("data-product-id");
+    if (attr && /^\d+$/.test(attr)) return attr;
+
+    for (const script of document.querySelectorAll(
+      'script[type="application/ld+json"]'
+    )) {
+      try {
+        const data = JSON.parse(script.textContent || "");
+        const sku = String(data?.sku ?? data?.productID ?? "");
+        if (/^\d+$/.test(sku)) return sku;
+      } catch (e) {
+        // not ours to fix; try the next block
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Id of the game on screen, on whichever store we are: the Steam app id
+   * or the GOG product id.
+   *
+   * @returns {string|null}
+   */
+  function getCurrentGameId() {
+    return isGogProductPage()
+      ? getCurrentGogProductId()
+      : getCurrentSteamAppId();
+  }
+
+  /**
+   * The game's name as the page shows it (SITE_RULES title), else the
+   * page's og:title.
+   *
+   * @returns {string}
+   */
+  function getCurrentGameTitle() {
+    for (const selector of getSiteRules()?.title || []) {
+      const text = document.querySelector(selector)?.textContent.trim();
+      if (text) return text;
+    }
+    const og = document.querySelector('meta[property="og:title"]')?.content;
+    return (og || document.title || "").trim();
+  }
+
+  /**
+   * Try to find a stable container near the user review section
+   * (the first of the host's SITE_RULES containers that exists).
+   *
+   * @returns {HTMLElement|null}
+   */
+  function getSteamReviewsContainer() {
+    const rules = getSiteRules();
+    if (!rules) return null;
+    for (const selector of rules.containers) {
+      const el = document.querySelector(selector);
+      if (el) return el;
+    }
+    return null;
+  }
+
   /**
    * Detect the classic "Oops, sorry!" region-unavailable page on Steam.
    *
@@ -99,6 +203,13 @@
   // Expose
   ns.getCurrentSteamAppId = getCurrentSteamAppId;
   ns.isSteamAppPage = isSteamAppPage;
+  ns.isGogProductPage = isGogProductPage;
+  ns.getCurrentGogSlug = getCurrentGogSlug;
+  ns.getCurrentGogProductId = getCurrentGogProductId;
+  ns.getCurrentGameId = getCurrentGameId;
+  ns.getCurrentGameTitle = getCurrentGameTitle;
   ns.getSteamReviewsContainer = getSteamReviewsContainer;
   ns.isUnavailableRegionPage = isUnavailableRegionPage;
+  ns.isSteamHomePage = isSteamHomePage;
+  ns.isAgeGatePage = isAgeGatePage;
 })(window);
@@ -0,0 +1,75 @@
+(function (root) {
+  const ns = (root.ReviewGuesser = root.ReviewGuesser || {});
+
+  /**
+   * Random sources are plain `() => number` functions returning [0, 1),
+   * i.e. drop-in replacements for Math.random. Anything that accepts a
+   * `random` parameter defaults to Math.random.
+   */
+
+  /**
+   * Hash a string into a 32-bit unsigned seed (FNV-1a).
+   *
+   * @param {string} str
+   * @returns {number}
+   */
+  function hashString(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+  }
+
+  /**
+   * Small, fast seeded PRNG (mulberry32).
+   *
+   * @param {number} seed - 32-bit integer
+   * @returns {() => number} random source in [0, 1)
+   */
+  function mulberry32(seed) {
+    let a = seed >>> 0;
+    return function () {
+      a = (a + 0x6d2b79f5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Deterministic random source derived from a string key, so the same
+   * key (e.g. "daily:2025-01-31") always produces the same sequence.
+   *
+   * @param {string} key
+   * @returns {() => number}
+   */
+  function seededRandom(key) {
+    return mulberry32(hashString(String(key)));
+  }
+
+  /**
+   * Fisher–Yates shuffle, in place. Every order is equally likely, unlike
+   * `sort(() => random() - 0.5)`.
+   *
+   * @template T
+   * @param {T[]} array
+   * @param {() => number} [random]
+   * @returns {T[]} the same array
+   */
+  function shuffleInPlace(array, random = Math.random) {
+    for (let i = array.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+  }
+
+  // Expose
+  ns.hashString = hashString;
+  ns.mulberry32 = mulberry32;
+  ns.seededRandom = seededRandom;
+  ns.shuffleInPlace = shuffleInPlace;
+})(window);
@@ -0,0 +1,61 @@
+(function (root) {
+  const ns = (root.ReviewGuesser = root.ReviewGuesser || {});
+
+  // ---------------------------------------------------------------------------
+  // Release year question
+  // ---------------------------------------------------------------------------
+
+  // Oldest year the picker offers (Steam's catalogue starts around here)
+  const YEAR_MIN = 1980;
+
+  // A guess this many years off (or more) scores nothing
+  const YEAR_SCORE_RANGE = 10;
+
+  // Guesses within this many years count as correct
+  const YEAR_CORRECT_DISTANCE = 1;
+
+  /**
+   * Release year shown on the store page. The date format depends on the
+   * page language ("13 Jan, 2011", "2011年1月13日", ...), but the year is
+   * always four digits. Returns null for "Coming soon", "To be announced"
+   * and the like.
+   *
+   * @param {ParentNode} [scope]
+   * @returns {number|null}
+   */
+  function getReleaseYear(scope = document) {
+    const date = scope.querySelector(".release_date .date");
+    const m = /\b(19\d{2}|20\d{2})\b/.exec(date?.textContent || "");
+    if (!m) return null;
+
+    const year = parseInt(m[1], 10);
+    return year >= YEAR_MIN && year <= new Date().getFullYear() ? year : null;
+  }
+
+  /**
+   * Linear score on the distance:
+   *   exact → 1, 5 years off → 0.5, YEAR_SCORE_RANGE (or more) off → 0.
+   *
+   * @param {number} guess
+   * @param {number} trueYear
+   * @returns {number} score in [0, 1]
+   */
+  function scoreYearGuess(guess, trueYear) {
+    return Math.max(0, 1 - Math.abs(guess - trueYear) / YEAR_SCORE_RANGE);
+  }
+
+  /**
+   * @param {number} guess
+   * @param {number} trueYear
+   * @returns {boolean}
+   */
+  function isYearGuessCorrect(guess, trueYear) {
+    return Math.abs(guess - trueYear) <= YEAR_CORRECT_DISTANCE;
+  }
+
+  // Expose
+  ns.YEAR_MIN = YEAR_MIN;
+  ns.getReleaseYear = getReleaseYear;
+  ns.scoreYearGuess = scoreYearGuess;
+  ns.isYearGuessCorrect = isYearGuessCorrect;
+})(window);
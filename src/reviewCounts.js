@@ -1,137 +1,211 @@
 (function (root) {
   const ns = (root.ReviewGuesser = root.ReviewGuesser || {});
   const parseReviewCountRaw = ns.parseReviewCountRaw;
+  const textHasLocalePhrase = ns.textHasLocalePhrase;
+  const isLocaleLabel = ns.isLocaleLabel;
+  const buildLocaleRegex = ns.buildLocaleRegex;
+  const getSettings = ns.getSettings;
+  const getSiteRules = ns.getSiteRules;
+  const parseCustomHideRules = ns.parseCustomHideRules;
+  const getCurrentGameId = ns.getCurrentGameId;
+
+  // App whose spoilers were revealed after the guess. In memory only, so a
+  // page load (or SPA navigation to another app) hides everything again.
+  let revealedAppId = null;
 
   /**
-   * Hide *all* review counts across the Steam page (to avoid spoilers),
-   * while keeping the "Overall Reviews" block structurally visible.
+   * Show everything the extension hides for this app, until the player
+   * navigates away. Works through html.ext-revealed, which content.css
+   * checks before hiding anything.
+   *
+   * @param {number|string} appId
    */
-  function hideAllSteamReviewCounts() {
-    // When running at document_start, body may not exist yet.
-    if (!document.body) return;
+  function revealSpoilers(appId) {
+    revealedAppId = String(appId);
+    document.documentElement.classList.add("ext-revealed");
+  }
 
-    const isInOverallSummary = (el) =>
-      !!el.closest(".review_summary_ctn.overall_summary_ctn");
-
-    // Unhide the Overall Reviews block if we hid it earlier
-    document
-      .querySelectorAll(`
-        .review_summary_ctn.overall_summary_ctn .summary_text,
-        .review_summary_ctn.overall_summary_ctn .game_review_summary,
-        .review_summary_ctn.overall_summary_ctn .app_reviews_count
-      `)
-      .forEach((el) => el.classList.remove("ext-hide"));
-
-    const selectors = [
-      ".review_summary_count",
-      ".user_reviews_summary_row",
-      ".rating_summary",
-      ".responsive_reviewdesc",
-      ".game_review_summary",
-      ".user_reviews_count",
-      ".newmodal_reviews_header",
-      ".apphub_ReviewsHeader",
-      ".user_reviews_filter_section",
-      ".viewer_bar",
-      ".app_reviews_count",
-    ];
+  /**
+   * Whether the current page's spoilers were revealed. Drops a reveal
+   * that belongs to another app.
+   *
+   * @returns {boolean}
+   */
+  function isRevealed() {
+    if (revealedAppId == null) return false;
+    if (revealedAppId === String(getCurrentGameId())) return true;
 
-    selectors.forEach((sel) => {
-      document.querySelectorAll(sel).forEach((el) => {
-        if (isInOverallSummary(el)) return;
-        if (!el.closest(".ext-steam-guess")) el.classList.add("ext-hide");
-      });
+    revealedAppId = null;
+    document.documentElement.classList.remove("ext-revealed");
+    return false;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Hide rules (see siteRules.js)
+  // ---------------------------------------------------------------------------
+
+  // Compiled TextRule regexes, per rule object
+  const TEXT_RULE_RX = new WeakMap();
+
+  function compileTextRule(rule) {
+    if (!TEXT_RULE_RX.has(rule)) {
+      let rx = null;
+      try {
+        rx = rule.phrases
+          ? buildLocaleRegex(rule.phrases)
+          : new RegExp(rule.pattern, (rule.flags || "").replace("g", ""));
+      } catch (e) {
+        console.warn("[ext] Ignoring invalid text rule", rule, e);
+      }
+      TEXT_RULE_RX.set(rule, rx);
+    }
+    return TEXT_RULE_RX.get(rule);
+  }
+
+  // The user's rules, re-parsed only when the settings change
+  let customRulesFor = null;
+  let customRules = { hide: [], hideText: [] };
+
+  function getCustomHideRules() {
+    const custom = getSettings().customRules;
+    if (custom !== customRulesFor) {
+      customRulesFor = custom;
+      customRules = parseCustomHideRules(custom);
+    }
+    return customRules;
+  }
+
+  // Broken selectors already reported (the hide pass runs on every mutation)
+  const warnedSelectors = new Set();
+
+  /**
+   * querySelectorAll that tolerates a broken selector (a typo in a user
+   * rule must not stop the other rules).
+   */
+  function safeQueryAll(scope, selector) {
+    try {
+      return [...scope.querySelectorAll(selector)];
+    } catch (e) {
+      if (!warnedSelectors.has(selector)) {
+        warnedSelectors.add(selector);
+        console.warn("[ext] Ignoring invalid selector", selector);
+      }
+      return [];
+    }
+  }
+
+  /**
+   * Elements a HideRule hides.
+   *
+   * @param {string|HideRule} rule
+   * @returns {Element[]}
+   */
+  function matchHideRule(rule) {
+    const r = typeof rule === "string" ? { selector: rule } : rule;
+    const out = [];
+
+    safeQueryAll(document, r.selector).forEach((el) => {
+      if (r.has && !el.querySelector(r.has)) return;
+      if (r.not && el.querySelector(r.not)) return;
+
+      if (r.phrase || r.label) {
+        const text = (r.textOf ? el.querySelector(r.textOf) : el)
+          ?.textContent;
+        if (r.phrase && !textHasLocalePhrase(text, r.phrase)) return;
+        if (r.label && !isLocaleLabel(text, r.label)) return;
+      }
+
+      const target = r.closest
+        ? r.closest.map((c) => el.closest(c)).find(Boolean) ||
+          el.parentElement
+        : el;
+      if (target) out.push(target);
     });
 
-    // ⬇️ this is where the crash happened before
-    const rx =
-      /\b(All|Alle|Toutes|Todas|Tutte|Alle)\s+Reviews?|\bRecent\s+Reviews?/i;
+    return out;
+  }
+
+  /**
+   * Elements holding text that matches one of the rules.
+   *
+   * @param {TextRule[]} rules
+   * @returns {Element[]}
+   */
+  function matchTextRules(rules) {
+    const regexes = rules.map(compileTextRule).filter(Boolean);
+    if (!regexes.length) return [];
+
+    const out = [];
     const walker = document.createTreeWalker(
       document.body,
       NodeFilter.SHOW_TEXT,
       {
         acceptNode(node) {
-          if (!rx.test(node.nodeValue || ""))
-            return NodeFilter.FILTER_REJECT;
-          const el = node.parentElement;
-          return el && isInOverallSummary(el)
-            ? NodeFilter.FILTER_REJECT
-            : NodeFilter.FILTER_ACCEPT;
+          const text = node.nodeValue || "";
+          return regexes.some((rx) => rx.test(text))
+            ? NodeFilter.FILTER_ACCEPT
+            : NodeFilter.FILTER_REJECT;
         },
       }
     );
     let node;
     while ((node = walker.nextNode())) {
-      const el = node.parentElement;
-      if (el && !el.closest(".ext-steam-guess"))
-        el.classList.add("ext-hide");
+      if (node.parentElement) out.push(node.parentElement);
     }
+    return out;
+  }
 
-    // --- EXTRA SPOILER HIDES --------------------------------------------------
-
-    // 1) Publisher row (e.g. "Publisher: Benedict Jaeggi")
-    document.querySelectorAll(".dev_row").forEach((row) => {
-      const labelEl = row.querySelector(".subtitle");
-      const labelText = (labelEl?.textContent || "").trim().toLowerCase();
-      // Match "Publisher:" (case-insensitive, allow missing colon just in case)
-      if (labelText === "publisher:" || labelText === "publisher") {
-        row.classList.add("ext-hide");
-      }
-    });
+  /**
+   * Hide *all* review counts across the page (to avoid spoilers), plus
+   * the spoiler groups switched on in the options, as the host's
+   * SITE_RULES and the user's own rules describe them. The "keep" blocks
+   * (Steam's "Overall Reviews") stay structurally visible.
+   * Does nothing once the guess was made and the page revealed.
+   */
+  function hideAllSteamReviewCounts() {
+    // When running at document_start, body may not exist yet.
+    if (!document.body) return;
+    if (isRevealed()) return;
 
-    // 2) Curators section ("What Curators Say")
-    document.querySelectorAll("h2").forEach((h2) => {
-      const title = (h2.textContent || "").trim().toLowerCase();
-      if (title.includes("what curators say")) {
-        // Hide the closest block-like container if possible, otherwise just the header region
-        const block =
-          h2.closest(".block") ||
-          h2.closest(".block_header") ||
-          h2.parentElement;
-        if (block) block.classList.add("ext-hide");
-      }
-    });
+    const rules = getSiteRules();
+    if (!rules) return;
+    const custom = getCustomHideRules();
 
-    // 4) Awards block (#awardsTable)
-    const awards = document.getElementById("awardsTable");
-    if (awards) {
-      awards.classList.add("ext-hide");
-    }
+    const keep = rules.keep.join(", ");
+    const isKept = (el) => !!keep && !!el.closest(keep);
 
-    // 5) “Reviews” in the About section (#game_area_reviews)
-    const aboutReviews = document.getElementById("game_area_reviews");
-    if (aboutReviews) {
-      aboutReviews.classList.add("ext-hide");
+    // Unhide the kept blocks if we hid something in them earlier
+    if (keep) {
+      safeQueryAll(document, `:is(${keep}) .ext-hide`).forEach((el) =>
+        el.classList.remove("ext-hide")
+      );
     }
 
-    // 6) Recommendation reasons ("Similar to games you've played", friends who own it, etc.)
-    document
-      .querySelectorAll(".recommendation_reasons")
-      .forEach((block) => {
-        block.classList.add("ext-hide");
-      });
-
-    // 7) Events row ("Recent Events & Announcements")
-    document
-      .querySelectorAll('[data-featuretarget="events-row"]')
-      .forEach((block) => {
-        block.classList.add("ext-hide");
-      });
+    // Always: the counts themselves; then the groups switched on. The
+    // "year" group follows the question this page asks (set by main.js).
+    const settings = getSettings();
+    const yearQuestion =
+      document.documentElement.classList.contains("ext-year");
+    const groups = Object.keys(rules.groups).filter((g) =>
+      g === "year" ? yearQuestion : settings.hide[g]
+    );
+    const hideRules = [
+      ...rules.hide,
+      ...custom.hide,
+      ...groups.flatMap((g) => rules.groups[g]),
+    ];
 
-      // 8) Metacritic block
-    const metacritic = document.getElementById("apppage_metacritic_block");
-    if (metacritic) {
-      metacritic.classList.add("ext-hide");
-    }
+    const targets = [
+      ...hideRules.flatMap(matchHideRule),
+      ...matchTextRules([...rules.hideText, ...custom.hideText]),
+    ];
 
-    // 9) Friend block ("X friend wants/owns this game")
-    const friendBlock = document.getElementById("friend_block");
-    if (friendBlock) {
-      friendBlock.classList.add("ext-hide");
-    }
+    targets.forEach((el) => {
+      if (isKept(el) || el.closest(".ext-steam-guess")) return;
+      el.classList.add("ext-hide");
+    });
   }
 
-
   function tryGetFromLanguageBreakdown(scope = document) {
     const sel =
       ".review_language_breakdown .outlier_totals.global.review_box_background_secondary .review_summary_count";
@@ -141,8 +215,129 @@
     return c != null ? { el, count: c } : null;
   }
 
+  /**
+   * Structured metadata: the "All Reviews" summary row carries
+   * itemprop="aggregateRating" with a <meta itemprop="reviewCount">,
+   * and some pages also ship JSON-LD. Both are language independent.
+   */
+  function tryGetFromStructuredData(scope = document) {
+    const meta = scope.querySelector('meta[itemprop="reviewCount"]');
+    if (meta) {
+      const c = parseInt(meta.getAttribute("content") || "", 10);
+      if (Number.isFinite(c) && c >= 0) {
+        const el =
+          meta.closest('[itemprop="aggregateRating"]') || meta.parentElement;
+        return { el, count: c };
+      }
+    }
+
+    for (const script of scope.querySelectorAll(
+      'script[type="application/ld+json"]'
+    )) {
+      let data;
+      try {
+        data = JSON.parse(script.textContent || "");
+      } catch (e) {
+        continue;
+      }
+      const nodes = Array.isArray(data) ? data : [data];
+      for (const node of nodes) {
+        const rating = node && node.aggregateRating;
+        if (!rating) continue;
+        const c = parseInt(rating.reviewCount ?? rating.ratingCount, 10);
+        if (Number.isFinite(c) && c >= 0) return { el: script, count: c };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Pull the review count out of a summary tooltip such as
+   * "95% of the 12,345 user reviews for this game are positive."
+   * Percentages are dropped first; the largest remaining number wins.
+   *
+   * @param {string} html
+   * @returns {number|null}
+   */
+  function parseTooltipCount(html) {
+    const text = (html || "")
+      .replace(/<[^>]*>/g, " ")
+      .replace(/\d+(?:[.,]\d+)?\s*%|%\s*\d+(?:[.,]\d+)?/g, " ");
+    const nums = [
+      ...text.matchAll(/\d{1,3}(?:[ .,\u00A0]\d{3})+|\d+/g),
+    ]
+      .map((m) => parseInt(m[0].replace(/[ .,\u00A0]/g, ""), 10))
+      .filter(Number.isFinite);
+    return nums.length ? Math.max(...nums) : null;
+  }
+
+  /**
+   * Tooltip on the "All Reviews" summary row (data-tooltip-html).
+   * Prefers the aggregateRating row, else the last row in #userReviews
+   * (Steam lists "Recent" before "All").
+   */
+  function tryGetFromSummaryTooltip(scope = document) {
+    const rows = [
+      ...scope.querySelectorAll(
+        "#userReviews .user_reviews_summary_row[data-tooltip-html]"
+      ),
+    ];
+    const row =
+      rows.find((r) => r.getAttribute("itemprop") === "aggregateRating") ||
+      rows[rows.length - 1];
+    if (!row) return null;
+
+    const c = parseTooltipCount(row.getAttribute("data-tooltip-html"));
+    return c != null ? { el: row, count: c } : null;
+  }
+
+  /**
+   * Pull the positive share out of a summary tooltip such as
+   * "95% of the 12,345 user reviews for this game are positive."
+   * Some languages put the sign first ("% 95").
+   *
+   * @param {string} html
+   * @returns {number|null} 0..100
+   */
+  function parseTooltipPercent(html) {
+    const text = (html || "").replace(/<[^>]*>/g, " ");
+    const m =
+      /(\d{1,3})(?:[.,]\d+)?\s*%/.exec(text) || /%\s*(\d{1,3})/.exec(text);
+    if (!m) return null;
+    const p = parseInt(m[1], 10);
+    return p >= 0 && p <= 100 ? p : null;
+  }
+
+  /**
+   * Positive review percentage of the "All Reviews" summary row.
+   *
+   * @param {ParentNode} [scope]
+   * @returns {number|null} 0..100
+   */
+  function getPositivePercent(scope = document) {
+    const row = scope.querySelector(
+      '.user_reviews_summary_row[itemprop="aggregateRating"][data-tooltip-html]'
+    );
+    if (!row) return null;
+    return parseTooltipPercent(row.getAttribute("data-tooltip-html"));
+  }
+
+  /**
+   * "No reviews" in any form; only for text from a review summary.
+   *
+   * @param {string} text
+   * @returns {boolean}
+   */
+  function saysNoReviews(text) {
+    return (
+      textHasLocalePhrase(text, "noReviews") ||
+      textHasLocalePhrase(text, "noUserReviews")
+    );
+  }
+
   function tryGetFromOverallSummary(scope = document) {
-    // Find classic block OR any block whose title contains "Overall Reviews:"
+    // Find classic block OR any block whose title reads "Overall Reviews:" (any language)
     const candidates = [];
     const classic =
       scope.querySelector(
@@ -151,9 +346,8 @@
     if (classic) candidates.push(classic);
 
     scope.querySelectorAll(".summary_text").forEach((st) => {
-      const t =
-        (st.querySelector(".title")?.textContent || "").toLowerCase();
-      if (/overall\s*reviews/.test(t)) candidates.push(st);
+      const t = st.querySelector(".title")?.textContent || "";
+      if (textHasLocalePhrase(t, "overallReviews")) candidates.push(st);
     });
 
     // De-dup
@@ -177,7 +371,7 @@
         const fullText = box.textContent || "";
 
         // Special case: "No reviews" → 0
-        if (/no reviews/i.test(fullText)) {
+        if (saysNoReviews(fullText)) {
           return { el: box, count: 0 };
         }
 
@@ -216,7 +410,7 @@
     hidden.forEach((n) => n.classList.remove("ext-hide"));
     try {
       const fullText = box.textContent || "";
-      if (/no reviews/i.test(fullText)) {
+      if (saysNoReviews(fullText)) {
         return { el: box, count: 0 };
       }
 
@@ -240,7 +434,9 @@
         return { el: best.el, count: best.v };
       }
 
-      return { el: box, count: 0 };
+      // No count and no phrase we know (not loaded yet, or a language
+      // without one): leave it to the next extractor rather than guess 0
+      return null;
     } finally {
       hidden.forEach((n) => n.classList.add("ext-hide"));
     }
@@ -268,47 +464,90 @@
       }
     }
 
+    // Steam only renders this title when the product has no reviews at all,
+    // so it is trusted as long as no structured count says otherwise.
     const titleEl = scope.querySelector(".noReviewsYetTitle");
     if (titleEl) {
-      const t = (titleEl.textContent || "")
-        .replace(/\s+/g, " ")
-        .toLowerCase();
-      if (t.includes("there are no reviews for this product")) {
+      const structured = tryGetFromStructuredData(scope);
+      if (
+        saysNoReviews(titleEl.textContent) ||
+        !structured ||
+        structured.count === 0
+      ) {
         return { el: titleEl, count: 0 };
       }
     }
 
+    // The summary rows read "No user reviews" when there are none; a game
+    // with a few old reviews may say so for Recent Reviews only
+    const rows = [...scope.querySelectorAll(".user_reviews_summary_row")];
+    const noneCounted = rows.every(
+      (r) => !(parseReviewCountRaw(r.textContent || "") > 0)
+    );
+    const emptyRow = rows.find((r) => saysNoReviews(r.textContent));
+    if (emptyRow && noneCounted) return { el: emptyRow, count: 0 };
+
+    // The review area also holds review texts and related items, so only
+    // Steam's full sentence counts there
     const box = scope.querySelector(
       ".review_ctn, .app_reviews_area, #app_reviews_hash, .user_reviews"
     );
-    if (box) {
-      const text = (box.textContent || "")
-        .replace(/\s+/g, " ")
-        .toLowerCase();
-      if (text.includes("there are no reviews for this product")) {
-        return { el: box, count: 0 };
-      }
+    if (box && textHasLocalePhrase(box.textContent, "noReviews")) {
+      return { el: box, count: 0 };
     }
 
-    const bodyText = (document.body?.textContent || "")
-      .replace(/\s+/g, " ")
-      .toLowerCase();
-    if (bodyText.includes("there are no reviews for this product")) {
-      return { el: document.body, count: 0 };
+    return null;
+  }
+
+  // Extractors SITE_RULES can name in their `counts` chain
+  const COUNT_EXTRACTORS = {
+    languageBreakdown: tryGetFromLanguageBreakdown,
+    structuredData: tryGetFromStructuredData,
+    summaryTooltip: tryGetFromSummaryTooltip,
+    overallSummary: tryGetFromOverallSummary,
+    reviewScoreSummaries: tryGetFromReviewScoreSummaries,
+    noReviews: tryDetectNoReviews,
+  };
+
+  /**
+   * Run one CountExtractor from the site rules.
+   *
+   * @param {CountExtractor} extractor
+   * @param {ParentNode} scope
+   * @returns {{el: Element, count: number}|null}
+   */
+  function runCountExtractor(extractor, scope) {
+    if (typeof extractor === "string") {
+      const fn = COUNT_EXTRACTORS[extractor];
+      return fn ? fn(scope) : null;
     }
 
-    return null;
+    const el = safeQueryAll(scope, extractor.selector)[0];
+    if (!el) return null;
+    const raw = extractor.attribute
+      ? el.getAttribute(extractor.attribute)
+      : el.textContent;
+    const c = parseReviewCountRaw(raw || "");
+    return c != null ? { el, count: c } : null;
   }
 
+  /**
+   * Wait until the host's count extractors find the review count.
+   *
+   * @param {number} [timeoutMs]
+   * @returns {Promise<{el: Element, count: number}|null>}
+   */
   function waitForAnyReviewCount(timeoutMs = 15000) {
     const scope = document;
+    const extractors = getSiteRules()?.counts || [];
 
-    const check = () =>
-      tryGetFromLanguageBreakdown(scope) ||
-      tryGetFromOverallSummary(scope) ||
-      tryGetFromReviewScoreSummaries(scope) ||
-      tryDetectNoReviews(scope) ||
-      null;
+    const check = () => {
+      for (const extractor of extractors) {
+        const got = runCountExtractor(extractor, scope);
+        if (got) return got;
+      }
+      return null;
+    };
 
     const immediate = check();
     if (immediate) return Promise.resolve(immediate);
@@ -347,9 +586,14 @@
 
   // Expose
   ns.hideAllSteamReviewCounts = hideAllSteamReviewCounts;
+  ns.revealSpoilers = revealSpoilers;
+  ns.isRevealed = isRevealed;
   ns.tryGetFromLanguageBreakdown = tryGetFromLanguageBreakdown;
+  ns.tryGetFromStructuredData = tryGetFromStructuredData;
+  ns.tryGetFromSummaryTooltip = tryGetFromSummaryTooltip;
   ns.tryGetFromOverallSummary = tryGetFromOverallSummary;
   ns.tryGetFromReviewScoreSummaries = tryGetFromReviewScoreSummaries;
   ns.tryDetectNoReviews = tryDetectNoReviews;
   ns.waitForAnyReviewCount = waitForAnyReviewCount;
+  ns.getPositivePercent = getPositivePercent;
 })(window);
@@ -0,0 +1,280 @@
+(function (root) {
+  const ns = (root.ReviewGuesser = root.ReviewGuesser || {});
+
+  const getSettings = ns.getSettings;
+  const getExtensionUrl = ns.getExtensionUrl;
+  const formatNum = ns.formatNum;
+
+  // ---------------------------------------------------------------------------
+  // Runs: N games in a row with a cumulative score
+  //
+  // The active run lives in chrome.storage.local so it survives page loads
+  // and the summary page (an extension page) can read it. Finished runs are
+  // appended to a list for comparison.
+  // ---------------------------------------------------------------------------
+
+  const RUN_KEY = "reviewGuesser_run";
+  const RUNS_KEY = "reviewGuesser_runs";
+  const MAX_SAVED_RUNS = 100;
+
+  /**
+   * @typedef {Object} RunGame
+   * @property {number} appId
+   * @property {boolean} correct
+   * @property {number|null} picked
+   * @property {number|null} answer - true review count or release year
+   * @property {"reviews"|"year"} [questionType] - what this game asked;
+   *   a year run falls back to the review count for games without a
+   *   known year. Missing in runs saved before it was recorded.
+   * @property {number|null} score - 0..1
+   */
+
+  /**
+   * @typedef {Object} Run
+   * @property {string} id
+   * @property {number} startedAt
+   * @property {number|null} finishedAt
+   * @property {number} length - games in the run
+   * @property {"pure"|"smart"} mode - how games are picked
+   * @property {"reviews"|"year"} questionType
+   * @property {RunGame[]} games - answered so far
+   * @property {number|null} current - the game we sent the player to
+   */
+
+  async function readStorage(key, fallback) {
+    try {
+      const data = await chrome.storage.local.get(key);
+      return data[key] ?? fallback;
+    } catch (e) {
+      console.warn("[ext] Failed to read " + key, e);
+      return fallback;
+    }
+  }
+
+  async function writeStorage(key, value) {
+    try {
+      await chrome.storage.local.set({ [key]: value });
+    } catch (e) {
+      console.warn("[ext] Failed to save " + key, e);
+    }
+  }
+
+  /**
+   * The unfinished run, or null.
+   * @returns {Promise<Run|null>}
+   */
+  function getActiveRun() {
+    return readStorage(RUN_KEY, null);
+  }
+
+  /**
+   * Finished runs, newest first.
+   * @returns {Promise<Run[]>}
+   */
+  function getSavedRuns() {
+    return readStorage(RUNS_KEY, []);
+  }
+
+  /**
+   * @param {Run} run
+   * @returns {{played: number, correct: number, points: number}}
+   */
+  function summarizeRun(run) {
+    const { games } = run;
+    return {
+      played: games.length,
+      correct: games.filter((g) => g.correct).length,
+      points: Math.round(
+        games.reduce((sum, g) => sum + (g.score || 0), 0) * 100
+      ),
+    };
+  }
+
+  function getRunSummaryUrl(run) {
+    return getExtensionUrl(`pages/run.html?id=${encodeURIComponent(run.id)}`);
+  }
+
+  /**
+   * Send the player to the next game of the run.
+   * @param {Run} run
+   */
+  function goToNextRunGame(run) {
+    return ns.navigateToRandomApp(run.mode, {
+      source: "run",
+      onPick: (appId) => {
+        run.current = appId;
+        return writeStorage(RUN_KEY, run);
+      },
+    });
+  }
+
+  /**
+   * "Start run" button: start a new run, or pick up the unfinished one.
+   */
+  async function startOrContinueRun() {
+    let run = await getActiveRun();
+
+    if (!run) {
+      const settings = getSettings();
+      run = {
+        id: String(Date.now()),
+        startedAt: Date.now(),
+        finishedAt: null,
+        length: settings.runLength,
+        mode: settings.defaultNextMode,
+        questionType: settings.questionType,
+        games: [],
+        current: null,
+      };
+      await writeStorage(RUN_KEY, run);
+    }
+
+    if (run.current != null) {
+      ns.rememberNavigationSource(run.current, "run");
+      window.location.assign(
+        `https://store.steampowered.com/app/${run.current}/`
+      );
+      return;
+    }
+    goToNextRunGame(run);
+  }
+
+  /**
+   * Drop the unfinished run without saving it.
+   */
+  function abandonRun() {
+    return writeStorage(RUN_KEY, null);
+  }
+
+  /**
+   * The active run, if this app is the game it is waiting for.
+   *
+   * @param {number|string} appId
+   * @returns {Promise<Run|null>}
+   */
+  async function getRunForApp(appId) {
+    const run = await getActiveRun();
+    return run && run.current === Number(appId) ? run : null;
+  }
+
+  /**
+   * Store the answer for the run's current game; finishes (and saves) the
+   * run after the last one.
+   *
+   * @param {number|string} appId
+   * @param {Omit<RunGame, "appId">} result
+   * @returns {Promise<Run|null>} the updated run
+   */
+  async function recordRunResult(appId, result) {
+    const run = await getRunForApp(appId);
+    if (!run) return null;
+
+    run.games.push({ appId: Number(appId), ...result });
+    run.current = null;
+
+    if (run.games.length < run.length) {
+      await writeStorage(RUN_KEY, run);
+      return run;
+    }
+
+    run.finishedAt = Date.now();
+    const saved = await getSavedRuns();
+    await writeStorage(RUNS_KEY, [run, ...saved].slice(0, MAX_SAVED_RUNS));
+    await writeStorage(RUN_KEY, null);
+    return run;
+  }
+
+  // One replacement per page, however often we are asked
+  let skipping = false;
+
+  /**
+   * A run game that is not available in the user's region, or that the
+   * player skipped, is replaced by another random game; it does not count
+   * towards the run.
+   *
+   * @param {number|string} appId
+   */
+  async function skipRunGame(appId) {
+    if (skipping) return;
+    skipping = true;
+    const run = await getRunForApp(appId);
+    if (run) goToNextRunGame(run);
+    else skipping = false;
+  }
+
+  function progressText(run) {
+    const { correct } = summarizeRun(run);
+    // The game on screen: still open, or just answered
+    const game = run.games.length + (run.current != null ? 1 : 0);
+    return `Run – game ${game}/${run.length}, ${correct} correct`;
+  }
+
+  /**
+   * "Game 4/10, 3 correct" line at the top of the widget.
+   *
+   * @param {HTMLElement} wrap - the .ext-steam-guess widget
+   * @param {Run} run
+   */
+  function renderRunProgress(wrap, run) {
+    let line = wrap.querySelector(".ext-run-progress");
+    if (!line) {
+      line = document.createElement("div");
+      line.className = "ext-run-progress";
+      wrap.prepend(line);
+    }
+    line.textContent = progressText(run);
+  }
+
+  /**
+   * Footer under an answered run game: next game or the run's result.
+   *
+   * @param {HTMLElement} wrap - the .ext-steam-guess widget
+   * @param {Run} run - as returned by recordRunResult
+   */
+  function renderRunFooter(wrap, run) {
+    wrap.querySelector(".ext-run-footer")?.remove();
+    const footer = document.createElement("div");
+    footer.className = "ext-run-footer";
+
+    if (!run.finishedAt) {
+      renderRunProgress(wrap, run);
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.textContent =
+        `Next run game (${run.games.length + 1}/${run.length})`;
+      btn.addEventListener("click", () => goToNextRunGame(run));
+      footer.appendChild(btn);
+    } else {
+      const { played, correct, points } = summarizeRun(run);
+      wrap.querySelector(".ext-run-progress")?.remove();
+
+      const text = document.createElement("div");
+      text.textContent =
+        `Run finished: ${correct}/${played} correct · ` +
+        `${formatNum(points)} points`;
+
+      const link = document.createElement("a");
+      link.href = getRunSummaryUrl(run);
+      link.target = "_blank";
+      link.textContent = "See the summary";
+
+      footer.appendChild(text);
+      footer.appendChild(link);
+    }
+
+    wrap.appendChild(footer);
+  }
+
+  // Expose
+  ns.MAX_SAVED_RUNS = MAX_SAVED_RUNS;
+  ns.getActiveRun = getActiveRun;
+  ns.getSavedRuns = getSavedRuns;
+  ns.summarizeRun = summarizeRun;
+  ns.startOrContinueRun = startOrContinueRun;
+  ns.abandonRun = abandonRun;
+  ns.getRunForApp = getRunForApp;
+  ns.recordRunResult = recordRunResult;
+  ns.skipRunGame = skipRunGame;
+  ns.renderRunProgress = renderRunProgress;
+  ns.renderRunFooter = renderRunFooter;
+})(window);
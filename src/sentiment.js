@@ -0,0 +1,103 @@
+(function (root) {
+  const ns = (root.ReviewGuesser = root.ReviewGuesser || {});
+
+  // ---------------------------------------------------------------------------
+  // Review sentiment ("Mostly Positive", ...)
+  //
+  // Steam derives the label from the share of positive reviews and, at the
+  // extremes, from the number of reviews. We rebuild it from those two
+  // numbers so it does not depend on the page language.
+  // ---------------------------------------------------------------------------
+
+  // Worst to best; neighbours in this list are "one step" apart
+  const SENTIMENT_LABELS = [
+    "Overwhelmingly Negative",
+    "Very Negative",
+    "Negative",
+    "Mostly Negative",
+    "Mixed",
+    "Mostly Positive",
+    "Positive",
+    "Very Positive",
+    "Overwhelmingly Positive",
+  ];
+
+  // Fewer reviews than this get no label at all on Steam
+  const MIN_LABELLED_REVIEWS = 10;
+
+  /**
+   * Steam's label for a positive percentage and review count:
+   *   95–100%: Overwhelmingly Positive (500+), Very Positive (50–499), Positive (10–49)
+   *   80–94%:  Very Positive (50+), Positive (10–49)
+   *   70–79%:  Mostly Positive
+   *   40–69%:  Mixed
+   *   20–39%:  Mostly Negative
+   *   0–19%:   Overwhelmingly Negative (500+), Very Negative (50–499), Negative (10–49)
+   *
+   * @param {number} percent - 0..100
+   * @param {number} count - total reviews
+   * @returns {string|null} null when Steam shows no label
+   */
+  function deriveSentimentLabel(percent, count) {
+    if (!Number.isFinite(percent) || !Number.isFinite(count)) return null;
+    if (count < MIN_LABELLED_REVIEWS) return null;
+
+    if (percent >= 95 && count >= 500) return "Overwhelmingly Positive";
+    if (percent >= 80) return count >= 50 ? "Very Positive" : "Positive";
+    if (percent >= 70) return "Mostly Positive";
+    if (percent >= 40) return "Mixed";
+    if (percent >= 20) return "Mostly Negative";
+    if (count >= 500) return "Overwhelmingly Negative";
+    return count >= 50 ? "Very Negative" : "Negative";
+  }
+
+  /**
+   * The labels a game with this many reviews can possibly have, best first.
+   * Knowing the count (from the first question) already rules some out.
+   *
+   * @param {number} count
+   * @returns {string[]}
+   */
+  function getSentimentOptions(count) {
+    const labels = new Set(
+      [100, 90, 75, 50, 30, 10]
+        .map((p) => deriveSentimentLabel(p, count))
+        .filter(Boolean)
+    );
+    return SENTIMENT_LABELS.filter((l) => labels.has(l)).reverse();
+  }
+
+  /**
+   * Exact label → 1, one step off (among the possible options) → 0.5, else 0.
+   *
+   * @param {string} picked
+   * @param {string} actual
+   * @param {string[]} options - from getSentimentOptions
+   * @returns {number}
+   */
+  function scoreSentimentGuess(picked, actual, options) {
+    const a = options.indexOf(picked);
+    const b = options.indexOf(actual);
+    if (a < 0 || b < 0) return 0;
+    const d = Math.abs(a - b);
+    return d === 0 ? 1 : d === 1 ? 0.5 : 0;
+  }
+
+  /**
+   * Overall score for a round with both questions answered.
+   *
+   * @param {number} countScore - 0..1
+   * @param {number} sentimentScore - 0..1
+   * @returns {number} 0..1
+   */
+  function combineRoundScore(countScore, sentimentScore) {
+    return (countScore + sentimentScore) / 2;
+  }
+
+  // Expose
+  ns.SENTIMENT_LABELS = SENTIMENT_LABELS;
+  ns.deriveSentimentLabel = deriveSentimentLabel;
+  ns.getSentimentOptions = getSentimentOptions;
+  ns.scoreSentimentGuess = scoreSentimentGuess;
+  ns.combineRoundScore = combineRoundScore;
+})(window);
@@ -0,0 +1,261 @@
+(function (root) {
+  const ns = (root.ReviewGuesser = root.ReviewGuesser || {});
+
+  // ---------------------------------------------------------------------------
+  // Persistent settings (chrome.storage.sync)
+  // ---------------------------------------------------------------------------
+
+  const SETTINGS_KEY = "reviewGuesser_settings";
+
+  // Pre-settings guess mode preference, written to the Steam page's localStorage
+  const LEGACY_GUESS_MODE_KEY = "reviewGuesser_guessMode";
+
+  /**
+   * Spoiler groups hideAllSteamReviewCounts can hide on top of the
+   * review counts themselves (which are always hidden).
+   */
+  const SPOILER_GROUPS = [
+    "publisher",
+    "curators",
+    "awards",
+    "metacritic",
+    "friends",
+    "events",
+  ];
+
+  const DIFFICULTIES = ["easy", "normal", "hard"];
+
+  // What to do on Steam's age check page (see ageGate.js)
+  const AGE_GATE_MODES = ["ask", "bypass", "exclude"];
+
+  const DEFAULT_SETTINGS = {
+    // Master switch – when false the content script does nothing
+    enabled: true,
+    // Option spacing: "easy" | "normal" | "hard"
+    difficulty: "normal",
+    // Number of multiple-choice answers buildGuessSet produces (normal only)
+    answerCount: 6,
+    // "choice" (buttons) or "text" (type a number)
+    guessMode: "choice",
+    // What to guess: "reviews" (the review count) or "year" (release year)
+    questionType: "reviews",
+    // Games per run ("Start run")
+    runLength: 10,
+    // Follow the count guess with "guess the rating label"
+    askSentiment: true,
+    // Which Next button comes first / is highlighted: "pure" | "smart"
+    defaultNextMode: "pure",
+    // Landing on a region-locked or removed game picks another one
+    autoSkipUnavailable: false,
+    // Age check page: "ask" (leave it to the user), "bypass" (fill in the
+    // birthdate) or "exclude" (skip games that have one)
+    ageGate: {
+      mode: "ask",
+      birthdate: "1990-01-01",
+    },
+    // Spoiler group -> hide it?
+    hide: {
+      publisher: true,
+      curators: true,
+      awards: true,
+      metacritic: true,
+      friends: true,
+      events: true,
+    },
+    // Also keep (the most recent part of) the history in chrome.storage.sync
+    syncHistory: false,
+    // The user's own hide rules on top of SITE_RULES (see siteRules.js):
+    // CSS selectors ("host##selector" for one site) and text to hide
+    customRules: {
+      hide: [],
+      hideText: [],
+    },
+  };
+
+  // Object-valued settings that are merged key by key, not replaced
+  const NESTED_KEYS = ["hide", "customRules", "ageGate"];
+
+  const MIN_ANSWER_COUNT = 2;
+  const MAX_ANSWER_COUNT = 12;
+  const MIN_RUN_LENGTH = 3;
+  const MAX_RUN_LENGTH = 50;
+
+  function hasChromeStorage() {
+    return (
+      typeof chrome !== "undefined" &&
+      !!chrome.storage &&
+      !!chrome.storage.sync
+    );
+  }
+
+  /**
+   * Merge stored values over the defaults and clamp anything out of range,
+   * so callers can always rely on a complete, valid settings object.
+   *
+   * @param {object} raw
+   * @returns {typeof DEFAULT_SETTINGS}
+   */
+  function normalizeSettings(raw) {
+    const src = raw && typeof raw === "object" ? raw : {};
+    const out = { ...DEFAULT_SETTINGS, ...src };
+    NESTED_KEYS.forEach((k) => {
+      out[k] = { ...DEFAULT_SETTINGS[k], ...(src[k] || {}) };
+    });
+
+    out.enabled = out.enabled !== false;
+    out.syncHistory = out.syncHistory === true;
+    out.askSentiment = out.askSentiment !== false;
+    out.autoSkipUnavailable = out.autoSkipUnavailable === true;
+
+    const n = Math.trunc(Number(out.answerCount));
+    out.answerCount = Number.isFinite(n)
+      ? Math.min(MAX_ANSWER_COUNT, Math.max(MIN_ANSWER_COUNT, n))
+      : DEFAULT_SETTINGS.answerCount;
+
+    const len = Math.trunc(Number(out.runLength));
+    out.runLength = Number.isFinite(len)
+      ? Math.min(MAX_RUN_LENGTH, Math.max(MIN_RUN_LENGTH, len))
+      : DEFAULT_SETTINGS.runLength;
+
+    if (!DIFFICULTIES.includes(out.difficulty)) out.difficulty = "normal";
+    if (out.guessMode !== "text") out.guessMode = "choice";
+    if (out.questionType !== "year") out.questionType = "reviews";
+    if (out.defaultNextMode !== "smart") out.defaultNextMode = "pure";
+
+    if (!AGE_GATE_MODES.includes(out.ageGate.mode)) out.ageGate.mode = "ask";
+    const birth = String(out.ageGate.birthdate);
+    if (
+      !/^\d{4}-\d{2}-\d{2}$/.test(birth) ||
+      !(Date.parse(birth) < Date.now())
+    ) {
+      out.ageGate.birthdate = DEFAULT_SETTINGS.ageGate.birthdate;
+    }
+
+    SPOILER_GROUPS.forEach((g) => {
+      out.hide[g] = out.hide[g] !== false;
+    });
+
+    const cleanList = (list) =>
+      Array.isArray(list)
+        ? list.map((t) => String(t).trim()).filter(Boolean)
+        : [];
+    ["hide", "hideText"].forEach((k) => {
+      out.customRules[k] = cleanList(out.customRules[k]);
+    });
+
+    return out;
+  }
+
+  // Cached copy so synchronous callers (DOM passes) never wait on storage
+  let current = normalizeSettings(null);
+  const listeners = [];
+
+  /**
+   * Current settings (defaults until loadSettings() has resolved).
+   * @returns {typeof DEFAULT_SETTINGS}
+   */
+  function getSettings() {
+    return current;
+  }
+
+  /**
+   * Pick up the guess mode that used to live in the page's localStorage.
+   * @param {object} stored
+   * @returns {string|null} legacy mode to adopt, or null
+   */
+  function takeLegacyGuessMode(stored) {
+    try {
+      const legacy = localStorage.getItem(LEGACY_GUESS_MODE_KEY);
+      if (!legacy) return null;
+      localStorage.removeItem(LEGACY_GUESS_MODE_KEY);
+      return stored && stored.guessMode ? null : legacy;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Read settings from chrome.storage and refresh the cache.
+   * @returns {Promise<typeof DEFAULT_SETTINGS>}
+   */
+  async function loadSettings() {
+    if (!hasChromeStorage()) return current;
+
+    try {
+      const data = await chrome.storage.sync.get(SETTINGS_KEY);
+      const stored = data[SETTINGS_KEY];
+      current = normalizeSettings(stored);
+
+      const legacyMode = takeLegacyGuessMode(stored);
+      if (legacyMode) await saveSettings({ guessMode: legacyMode });
+    } catch (e) {
+      console.warn("[ext] Failed to load settings", e);
+    }
+    return current;
+  }
+
+  /**
+   * Merge a partial update into the settings and persist it.
+   *
+   * @param {Partial<typeof DEFAULT_SETTINGS>} patch
+   * @returns {Promise<typeof DEFAULT_SETTINGS>}
+   */
+  async function saveSettings(patch) {
+    const merged = { ...current, ...patch };
+    NESTED_KEYS.forEach((k) => {
+      merged[k] = { ...current[k], ...((patch && patch[k]) || {}) };
+    });
+    current = normalizeSettings(merged);
+
+    if (hasChromeStorage()) {
+      try {
+        await chrome.storage.sync.set({ [SETTINGS_KEY]: current });
+      } catch (e) {
+        console.warn("[ext] Failed to save settings", e);
+      }
+    }
+    return current;
+  }
+
+  /**
+   * Reset everything back to DEFAULT_SETTINGS.
+   * @returns {Promise<typeof DEFAULT_SETTINGS>}
+   */
+  async function resetSettings() {
+    current = normalizeSettings(null);
+    if (hasChromeStorage()) {
+      try {
+        await chrome.storage.sync.remove(SETTINGS_KEY);
+      } catch (e) {
+        console.warn("[ext] Failed to reset settings", e);
+      }
+    }
+    return current;
+  }
+
+  /**
+   * Subscribe to settings changes (from this or any other extension page).
+   * @param {(settings: typeof DEFAULT_SETTINGS) => void} fn
+   */
+  function onSettingsChanged(fn) {
+    listeners.push(fn);
+  }
+
+  if (hasChromeStorage() && chrome.storage.onChanged) {
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== "sync" || !changes[SETTINGS_KEY]) return;
+      current = normalizeSettings(changes[SETTINGS_KEY].newValue);
+      listeners.forEach((fn) => fn(current));
+    });
+  }
+
+  // Expose
+  ns.SPOILER_GROUPS = SPOILER_GROUPS;
+  ns.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+  ns.normalizeSettings = normalizeSettings;
+  ns.getSettings = getSettings;
+  ns.loadSettings = loadSettings;
+  ns.saveSettings = saveSettings;
+  ns.resetSettings = resetSettings;
+  ns.onSettingsChanged = onSettingsChanged;
+})(window);
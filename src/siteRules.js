@@ -2,12 +2,253 @@
   const ns = (root.ReviewGuesser = root.ReviewGuesser || {});
 
   /**
-   * Host-specific rules and configuration.
+   * Host-specific rules: what to hide, where the review count comes from
+   * and where the guessing widget goes. reviewCounts.js and
+   * pageDetection.js read these instead of hardcoding Steam's DOM, so a
+   * changed selector is a one-line patch here (or a user rule in the
+   * options, see parseCustomHideRules).
    *
-   * For now, non-Steam handling is left as a placeholder, but this is
-   * a good extension point for future support (e.g., GOG, Epic, etc.).
+   * content.css repeats the most important hide selectors so they apply
+   * before the first script pass; keep the two in step.
    */
-  ns.SITE_RULES = {
-    // You can add other host-specific hide rules here
+
+  /**
+   * An element to hide. A plain string is short for `{ selector }`.
+   *
+   * @typedef {Object} HideRule
+   * @property {string} selector - candidates
+   * @property {string} [has] - only candidates containing a match of this
+   * @property {string} [not] - skip candidates containing a match of this
+   * @property {string} [phrase] - only candidates whose text contains this
+   *   locale phrase (a field of STEAM_LOCALE_STRINGS)
+   * @property {string} [label] - only candidates whose text *is* this
+   *   locale label
+   * @property {string} [textOf] - read `phrase`/`label` text from this
+   *   descendant instead of the candidate
+   * @property {string[]} [closest] - hide the first ancestor matching one
+   *   of these (tried in order), else the parent, instead of the candidate
+   */
+
+  /**
+   * Text that gives something away; the element holding it is hidden.
+   * Either locale phrases or a regular expression.
+   *
+   * @typedef {Object} TextRule
+   * @property {string[]} [phrases] - locale fields, e.g. "allReviews"
+   * @property {string} [pattern] - RegExp source
+   * @property {string} [flags] - RegExp flags for `pattern`
+   */
+
+  /**
+   * A review count source. A string names one of the extractors in
+   * reviewCounts.js; an object reads a number from the first match.
+   *
+   * @typedef {string|{selector: string, attribute?: string}} CountExtractor
+   */
+
+  /**
+   * @typedef {Object} SiteRules
+   * @property {string[]} containers - where the widget goes, first match wins
+   * @property {string[]} buttons - where the Next buttons go, first match wins
+   * @property {string[]} title - the game's name, first match wins
+   * @property {CountExtractor[]} counts - tried in order until one finds a count
+   * @property {string[]} keep - never hidden, nor anything inside
+   * @property {(string|HideRule)[]} hide - always hidden
+   * @property {TextRule[]} hideText - always hidden
+   * @property {Object<string, (string|HideRule)[]>} groups - hidden when
+   *   switched on: the spoiler groups of the options page, plus "year"
+   *   for the release year question
+   * @property {AgeGateForm} [ageGate] - the age check form, if the site has one
+   */
+
+  /**
+   * @typedef {Object} AgeGateForm
+   * @property {string} day - birth day <select>
+   * @property {string} month - birth month <select>
+   * @property {string} year - birth year <select>
+   * @property {string} submit - the "View page" button
+   */
+
+  /** @type {SiteRules} */
+  const STEAM_RULES = {
+    containers: [
+      "#userReviews",
+      ".user_reviews",
+      ".review_ctn",
+      "[data-panel='reviews']",
+      ".glance_ctn_responsive_left",
+    ],
+
+    // Replaces the Community Hub button
+    buttons: [".apphub_HomeHeaderContent .apphub_OtherSiteInfo"],
+
+    title: ["#appHubAppName", ".apphub_AppName"],
+
+    counts: [
+      "languageBreakdown",
+      "structuredData",
+      "summaryTooltip",
+      "overallSummary",
+      "reviewScoreSummaries",
+      "noReviews",
+    ],
+
+    // The "Overall Reviews" block stays structurally visible
+    keep: [".review_summary_ctn.overall_summary_ctn"],
+
+    hide: [
+      ".review_summary_count",
+      ".user_reviews_summary_row",
+      ".rating_summary",
+      ".responsive_reviewdesc",
+      ".game_review_summary",
+      ".user_reviews_count",
+      ".newmodal_reviews_header",
+      ".apphub_ReviewsHeader",
+      ".user_reviews_filter_section",
+      ".viewer_bar",
+      ".app_reviews_count",
+    ],
+
+    // "All Reviews:" / "Recent Reviews:" labels in every Steam UI language
+    hideText: [{ phrases: ["allReviews", "recentReviews"] }],
+
+    groups: {
+      // "Publisher: Benedict Jaeggi". Publisher links point at
+      // /publisher/... or ?publisher=..., which holds in every language;
+      // the label text is only a fallback.
+      publisher: [
+        {
+          selector: ".dev_row",
+          has: 'a[href*="/publisher/"], a[href*="publisher="]',
+          not: "#developers_list",
+        },
+        {
+          selector: ".dev_row",
+          label: "publisher",
+          textOf: ".subtitle",
+          not: "#developers_list",
+        },
+      ],
+      // "What Curators Say", and "Reviews" in the About section
+      curators: [
+        ".steam_curators_block",
+        {
+          selector: "h2",
+          phrase: "curators",
+          closest: [".block", ".block_header"],
+        },
+        "#game_area_reviews",
+      ],
+      awards: ["#awardsTable"],
+      // Recommendation reasons and "X friends own this game"
+      friends: [".recommendation_reasons", "#friend_block"],
+      // "Recent Events & Announcements"
+      events: ['[data-featuretarget="events-row"]'],
+      metacritic: ["#apppage_metacritic_block"],
+      // Everything that dates the game
+      year: [
+        ".release_date",
+        ".game_area_comingsoon",
+        ".coming_soon_date",
+        "#game_area_legal",
+        '[data-featuretarget="events-row"]',
+      ],
+    },
+
+    // /agecheck/app/<id>. Games gated for their content descriptors only
+    // have the button.
+    ageGate: {
+      day: "#ageDay",
+      month: "#ageMonth",
+      year: "#ageYear",
+      submit: "#view_product_page_btn",
+    },
+  };
+
+  /**
+   * GOG.com product pages (/game/<slug>). Only the review count question
+   * is played here; the count comes from the page's JSON-LD.
+   *
+   * @type {SiteRules}
+   */
+  const GOG_RULES = {
+    containers: ["#reviews", ".reviews", ".productcard-basics"],
+
+    // No Next button: there is no bundled list of GOG products
+    buttons: [],
+
+    title: [".productcard-basics__title", ".productcard-basics h1"],
+
+    counts: ["structuredData"],
+
+    keep: [],
+
+    // Star rating and review count in the header and the reviews section
+    hide: [
+      ".productcard-rating",
+      ".rating",
+      ".reviews-header",
+      ".reviews__header",
+      ".reviews__count",
+    ],
+
+    // "(1,234 reviews)" wherever else it turns up
+    hideText: [
+      { pattern: "\\d[\\d,. ]*\\s+(?:user\\s+)?reviews?\\b", flags: "i" },
+    ],
+
+    groups: {
+      publisher: [{ selector: ".details__row", has: 'a[href*="publishers="]' }],
+    },
   };
+
+  /** @type {Object<string, SiteRules>} host -> rules */
+  const SITE_RULES = {
+    "store.steampowered.com": STEAM_RULES,
+    "www.gog.com": GOG_RULES,
+  };
+
+  /**
+   * Rules for a host (defaults to the current page's).
+   *
+   * @param {string} [host]
+   * @returns {SiteRules|null}
+   */
+  function getSiteRules(host = location.hostname) {
+    return SITE_RULES[host] || null;
+  }
+
+  /**
+   * Turn the user's hide rules from the options page into rules for one
+   * host. Element lines are CSS selectors, optionally limited to a host
+   * the way ad blockers write it: "store.steampowered.com##.some_block".
+   * Text lines are plain text (matched case-insensitively) or a /regex/.
+   *
+   * @param {{hide: string[], hideText: string[]}} custom
+   * @param {string} [host]
+   * @returns {{hide: string[], hideText: TextRule[]}}
+   */
+  function parseCustomHideRules(custom, host = location.hostname) {
+    const hide = [];
+    (custom.hide || []).forEach((line) => {
+      const i = line.indexOf("##");
+      if (i < 0) hide.push(line);
+      else if (line.slice(0, i).trim() === host) hide.push(line.slice(i + 2));
+    });
+
+    const hideText = (custom.hideText || []).map((line) => {
+      const m = /^\/(.+)\/([a-z]*)$/.exec(line);
+      if (m) return { pattern: m[1], flags: m[2] };
+      const escaped = line.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      return { pattern: escaped, flags: "i" };
+    });
+
+    return { hide: hide.map((s) => s.trim()).filter(Boolean), hideText };
+  }
+
+  // Expose
+  ns.SITE_RULES = SITE_RULES;
+  ns.getSiteRules = getSiteRules;
+  ns.parseCustomHideRules = parseCustomHideRules;
 })(window);
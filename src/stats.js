@@ -0,0 +1,109 @@
+(function (root) {
+  const ns = (root.ReviewGuesser = root.ReviewGuesser || {});
+
+  /**
+   * True-count buckets for the accuracy split.
+   * `max` is inclusive (counts are whole numbers), so exactly 10,000 is
+   * still "100 – 10k"; the last bucket is open-ended.
+   */
+  const COUNT_BUCKETS = [
+    { key: "small", label: "Under 100 reviews", max: 99 },
+    { key: "medium", label: "100 – 10k reviews", max: 10_000 },
+    { key: "large", label: "Over 10k reviews", max: Infinity },
+  ];
+
+  /**
+   * Start of the (Monday-based, local time) week containing the timestamp.
+   *
+   * @param {number} ts
+   * @returns {number} ms timestamp of Monday 00:00
+   */
+  function weekStart(ts) {
+    const d = new Date(ts);
+    d.setHours(0, 0, 0, 0);
+    const dow = (d.getDay() + 6) % 7; // Monday = 0
+    // By calendar day, not by 24 h: a week with a DST change is 1 h off
+    d.setDate(d.getDate() - dow);
+    return d.getTime();
+  }
+
+  function ratio(correct, total) {
+    return total > 0 ? correct / total : null;
+  }
+
+  /**
+   * Compute dashboard numbers from seen-game records.
+   * Legacy entries without a known result count as played but are left
+   * out of every accuracy figure. Skipped games are only counted as such.
+   *
+   * @param {Array<{correct: boolean|null, skipped?: boolean, timestamp: number|null, trueCount: number|null}>} records
+   */
+  function computeStats(records) {
+    const skipped = records.filter((r) => r.skipped).length;
+    const played = records.length - skipped;
+    const judged = records.filter((r) => typeof r.correct === "boolean");
+    const correct = judged.filter((r) => r.correct).length;
+
+    // Streaks only make sense in chronological order
+    const timeline = judged
+      .filter((r) => r.timestamp)
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    let bestStreak = 0;
+    let run = 0;
+    timeline.forEach((r) => {
+      run = r.correct ? run + 1 : 0;
+      if (run > bestStreak) bestStreak = run;
+    });
+    const currentStreak = run;
+
+    // Accuracy per week
+    const weeks = new Map();
+    timeline.forEach((r) => {
+      const key = weekStart(r.timestamp);
+      const w = weeks.get(key) || { weekStart: key, played: 0, correct: 0 };
+      w.played++;
+      if (r.correct) w.correct++;
+      weeks.set(key, w);
+    });
+    const byWeek = [...weeks.values()]
+      .sort((a, b) => a.weekStart - b.weekStart)
+      .map((w) => ({ ...w, accuracy: ratio(w.correct, w.played) }));
+
+    // Accuracy per true-count bucket
+    const byCount = COUNT_BUCKETS.map((b) => ({
+      key: b.key,
+      label: b.label,
+      played: 0,
+      correct: 0,
+    }));
+    let unknownCount = 0;
+    judged.forEach((r) => {
+      if (r.trueCount == null) {
+        unknownCount++;
+        return;
+      }
+      const idx = COUNT_BUCKETS.findIndex((b) => r.trueCount <= b.max);
+      byCount[idx].played++;
+      if (r.correct) byCount[idx].correct++;
+    });
+    byCount.forEach((b) => (b.accuracy = ratio(b.correct, b.played)));
+
+    return {
+      played,
+      skipped,
+      judged: judged.length,
+      correct,
+      accuracy: ratio(correct, judged.length),
+      currentStreak,
+      bestStreak,
+      byWeek,
+      byCount,
+      unknownCount,
+    };
+  }
+
+  // Expose
+  ns.COUNT_BUCKETS = COUNT_BUCKETS;
+  ns.computeStats = computeStats;
+})(window);
@@ -0,0 +1,679 @@
+(function (root) {
+  const ns = (root.ReviewGuesser = root.ReviewGuesser || {});
+
+  const getSettings = ns.getSettings;
+  const onSettingsChanged = ns.onSettingsChanged;
+
+  // ---------------------------------------------------------------------------
+  // Seen Games Storage
+  //
+  // All reads and writes of the guess history go through this module.
+  // The history lives in chrome.storage.local (out of reach of Steam's own
+  // scripts and of "clear site data"), is cached in memory so lookups stay
+  // synchronous, and can optionally be mirrored to chrome.storage.sync.
+  // ---------------------------------------------------------------------------
+
+  const SEEN_GAMES_KEY = "reviewGuesser_seenGames";
+
+  /**
+   * Each question type keeps its own history, and so does GOG.com (its
+   * product ids are a different catalogue). "reviews" (the review count
+   * question on Steam) keeps the original key and is the only one
+   * mirrored to chrome.storage.sync.
+   */
+  const QUESTION_TYPES = ["reviews", "year"];
+  const HISTORY_TYPES = [...QUESTION_TYPES, "gog"];
+  const HISTORY_KEYS = {
+    reviews: SEEN_GAMES_KEY,
+    year: "reviewGuesser_seenGames_year",
+    gog: "reviewGuesser_seenGames_gog",
+  };
+
+  const questionType = (type) =>
+    HISTORY_TYPES.includes(type) ? type : "reviews";
+
+  /**
+   * Stored layout history:
+   *   v0: [appId, ...]                                  (bare numbers)
+   *   v1: [{appId, correct, timestamp}, ...]
+   *   v2: {schemaVersion: 2, games: [SeenRecord, ...]}  (current)
+   * v0–v2 lived in the Steam page's localStorage; v2 is now kept in
+   * chrome.storage.local.
+   */
+  const SEEN_GAMES_SCHEMA_VERSION = 2;
+
+  /**
+   * @typedef {Object} SeenRecord
+   * @property {number} appId
+   * @property {boolean|null} correct - null for legacy and skipped entries
+   * @property {boolean} skipped - passed over without a guess
+   * @property {number|null} timestamp - ms since epoch when guessed
+   * @property {number|null} picked - the value we guessed
+   * @property {number|null} trueCount - the real review count
+   * @property {number|null} trueYear - the real release year (year question)
+   * @property {number[]|null} options - choices offered (null for typed guesses)
+   * @property {"choice"|"text"|null} guessMode
+   * @property {number|null} score - 0..1, both questions together when the
+   *   sentiment question was answered
+   * @property {number|null} durationMs - time from widget shown to guess
+   * @property {string|null} source - how we got here ("pure", "smart", "direct", ...)
+   * @property {number|null} percentPositive - share of positive reviews
+   * @property {string|null} sentiment - Steam's rating label
+   * @property {string|null} sentimentPicked - the label we guessed
+   * @property {number|null} sentimentScore - 0..1
+   * @property {SeenAttempt[]} attempts - later guesses from "Review
+   *   mistakes"; the fields above keep the first result
+   */
+
+  /**
+   * @typedef {Object} SeenAttempt
+   * @property {number} timestamp - ms since epoch
+   * @property {boolean} correct
+   * @property {number|null} picked
+   * @property {number|null} score - 0..1
+   */
+
+  const finiteOrNull = (v) => {
+    const n = Number(v);
+    return v != null && v !== "" && Number.isFinite(n) ? n : null;
+  };
+
+  function toSeenAttempt(item) {
+    if (!item || typeof item.correct !== "boolean") return null;
+    const timestamp = finiteOrNull(item.timestamp);
+    if (!timestamp) return null;
+    return {
+      timestamp,
+      correct: item.correct,
+      picked: finiteOrNull(item.picked),
+      score: finiteOrNull(item.score),
+    };
+  }
+
+  /**
+   * Normalise anything we may find in storage (any schema version, or an
+   * imported row) into a full SeenRecord. Returns null for junk.
+   *
+   * @param {number|object} item
+   * @returns {SeenRecord|null}
+   */
+  function toSeenRecord(item) {
+    // v0: bare app id
+    if (typeof item === "number") item = { appId: item };
+    if (!item || typeof item !== "object") return null;
+
+    const appId = Number(item.appId);
+    if (!Number.isFinite(appId)) return null;
+
+    return {
+      appId,
+      correct: typeof item.correct === "boolean" ? item.correct : null,
+      skipped: item.skipped === true,
+      timestamp: finiteOrNull(item.timestamp) || null,
+      picked: finiteOrNull(item.picked),
+      trueCount: finiteOrNull(item.trueCount),
+      trueYear: finiteOrNull(item.trueYear),
+      options: Array.isArray(item.options)
+        ? item.options.map(Number).filter(Number.isFinite)
+        : null,
+      guessMode:
+        item.guessMode === "choice" || item.guessMode === "text"
+          ? item.guessMode
+          : null,
+      score: finiteOrNull(item.score),
+      durationMs: finiteOrNull(item.durationMs),
+      source: typeof item.source === "string" ? item.source : null,
+      percentPositive: finiteOrNull(item.percentPositive),
+      sentiment: typeof item.sentiment === "string" ? item.sentiment : null,
+      sentimentPicked:
+        typeof item.sentimentPicked === "string" ? item.sentimentPicked : null,
+      sentimentScore: finiteOrNull(item.sentimentScore),
+      attempts: Array.isArray(item.attempts)
+        ? item.attempts.map(toSeenAttempt).filter(Boolean)
+        : [],
+    };
+  }
+
+  /**
+   * Bring a parsed storage value up to the current schema.
+   *
+   * @param {any} parsed
+   * @returns {{records: SeenRecord[], migrated: boolean}}
+   */
+  function migrateSeenGames(parsed) {
+    // v0 / v1: plain array of numbers or {appId, correct, timestamp}
+    if (Array.isArray(parsed)) {
+      return {
+        records: parsed.map(toSeenRecord).filter(Boolean),
+        migrated: true,
+      };
+    }
+
+    if (parsed && typeof parsed === "object" && Array.isArray(parsed.games)) {
+      return {
+        records: parsed.games.map(toSeenRecord).filter(Boolean),
+        migrated: parsed.schemaVersion !== SEEN_GAMES_SCHEMA_VERSION,
+      };
+    }
+
+    return { records: [], migrated: false };
+  }
+
+  function hasExtensionStorage() {
+    return (
+      typeof chrome !== "undefined" &&
+      !!chrome.storage &&
+      !!chrome.storage.local
+    );
+  }
+
+  // In-memory copy of every history; filled by loadSeenGames()
+  const caches = { reviews: new Map(), year: new Map(), gog: new Map() };
+  let loading = null;
+
+  // The id sets getSeenGames hands out, built on first use and dropped
+  // whenever that history is written, so a Next click does not copy the
+  // whole history
+  const seenIdSets = {};
+
+  // Games skipped in any Steam question type; built and dropped like
+  // seenIdSets
+  let skippedIds = null;
+
+  function forgetSeenIds(type) {
+    if (type) delete seenIdSets[type];
+    else HISTORY_TYPES.forEach((t) => delete seenIdSets[t]);
+    skippedIds = null;
+  }
+
+  /**
+   * Newer records (by timestamp) win; returns whether anything changed.
+   *
+   * @param {Map<number, SeenRecord>} map - updated in place
+   * @param {SeenRecord[]} records
+   * @returns {boolean}
+   */
+  function mergeNewer(map, records) {
+    let changed = false;
+    records.forEach((rec) => {
+      const cur = map.get(rec.appId);
+      if (!cur || (rec.timestamp || 0) > (cur.timestamp || 0)) {
+        map.set(rec.appId, rec);
+        changed = true;
+      }
+    });
+    return changed;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Legacy: history used to live in the Steam page's localStorage
+  // ---------------------------------------------------------------------------
+
+  // Temporary copy older versions kept for extension pages; no longer used
+  const LEGACY_MIRROR_KEY = "reviewGuesser_seenGamesMirror";
+
+  /**
+   * Read the history an older version left in the page's localStorage.
+   * Only meaningful in the content script on store.steampowered.com.
+   *
+   * @returns {SeenRecord[]}
+   */
+  function readLegacyLocalStorage() {
+    try {
+      const raw = localStorage.getItem(SEEN_GAMES_KEY);
+      if (!raw) return [];
+      return migrateSeenGames(JSON.parse(raw)).records;
+    } catch (e) {
+      console.warn("[ext] Failed to read legacy seen games", e);
+      return [];
+    }
+  }
+
+  function removeLegacyLocalStorage() {
+    try {
+      localStorage.removeItem(SEEN_GAMES_KEY);
+    } catch (e) {
+      // ignore – nothing we can do about it
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Optional chrome.storage.sync copy
+  //
+  // sync has tight quotas (~100 KB total, 8 KB per item), so it holds a
+  // compact tuple per game, split into chunks, newest games first. Whatever
+  // does not fit stays local only.
+  // ---------------------------------------------------------------------------
+
+  const SYNC_META_KEY = "reviewGuesser_seenSync";
+  const SYNC_CHUNK_PREFIX = "reviewGuesser_seenSync_";
+  const SYNC_CHUNK_BYTES = 7000; // below QUOTA_BYTES_PER_ITEM incl. the key
+  const SYNC_TOTAL_BYTES = 90000; // below QUOTA_BYTES, leaves room for settings
+  const SYNC_DEBOUNCE_MS = 5000;
+
+  function hasSyncStorage() {
+    return hasExtensionStorage() && !!chrome.storage.sync;
+  }
+
+  // [appId, correct (1/0/-1, 2 = skipped), timestamp, picked, trueCount]
+  function toSyncTuple(rec) {
+    const c = rec.skipped
+      ? 2
+      : rec.correct === true
+      ? 1
+      : rec.correct === false
+      ? 0
+      : -1;
+    return [rec.appId, c, rec.timestamp || 0, rec.picked, rec.trueCount];
+  }
+
+  function fromSyncTuple(t) {
+    if (!Array.isArray(t)) return null;
+    return toSeenRecord({
+      appId: t[0],
+      correct: t[1] === 1 ? true : t[1] === 0 ? false : null,
+      skipped: t[1] === 2,
+      timestamp: t[2],
+      picked: t[3],
+      trueCount: t[4],
+    });
+  }
+
+  /**
+   * @returns {Promise<SeenRecord[]>}
+   */
+  async function readSyncedRecords() {
+    const data = await chrome.storage.sync.get(SYNC_META_KEY);
+    const meta = data[SYNC_META_KEY];
+    if (!meta || !meta.chunks) return [];
+
+    const keys = [];
+    for (let i = 0; i < meta.chunks; i++) keys.push(SYNC_CHUNK_PREFIX + i);
+    const chunks = await chrome.storage.sync.get(keys);
+
+    return keys
+      .flatMap((k) => chunks[k] || [])
+      .map(fromSyncTuple)
+      .filter(Boolean);
+  }
+
+  /**
+   * @param {Map<number, SeenRecord>} map
+   */
+  async function writeSyncedRecords(map) {
+    const tuples = [...map.values()]
+      .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0))
+      .map(toSyncTuple);
+
+    const chunks = [];
+    let chunk = [];
+    let chunkBytes = 2;
+    let totalBytes = 0;
+    let dropped = 0;
+
+    for (const t of tuples) {
+      const len = JSON.stringify(t).length + 1;
+      if (totalBytes + len > SYNC_TOTAL_BYTES) {
+        dropped++;
+        continue;
+      }
+      if (chunkBytes + len > SYNC_CHUNK_BYTES) {
+        chunks.push(chunk);
+        chunk = [];
+        chunkBytes = 2;
+      }
+      chunk.push(t);
+      chunkBytes += len;
+      totalBytes += len;
+    }
+    if (chunk.length) chunks.push(chunk);
+
+    if (dropped) {
+      console.warn(
+        `[ext] Sync storage is full; ${dropped} oldest games stay local only`
+      );
+    }
+
+    const prevData = await chrome.storage.sync.get(SYNC_META_KEY);
+    const prev = prevData[SYNC_META_KEY];
+    const items = {
+      [SYNC_META_KEY]: { chunks: chunks.length, updatedAt: Date.now() },
+    };
+    chunks.forEach((c, i) => (items[SYNC_CHUNK_PREFIX + i] = c));
+    await chrome.storage.sync.set(items);
+
+    // Drop chunks left over from a longer history (e.g. after a clear)
+    const stale = [];
+    for (let i = chunks.length; i < ((prev && prev.chunks) || 0); i++) {
+      stale.push(SYNC_CHUNK_PREFIX + i);
+    }
+    if (stale.length) await chrome.storage.sync.remove(stale);
+  }
+
+  let syncTimer = null;
+
+  /**
+   * Write the sync copy soon; bursts of guesses collapse into one write.
+   */
+  function scheduleSyncWrite() {
+    if (!hasSyncStorage() || !getSettings().syncHistory) return;
+    clearTimeout(syncTimer);
+    syncTimer = setTimeout(() => {
+      writeSyncedRecords(caches.reviews).catch((e) =>
+        console.warn("[ext] Failed to sync seen games", e)
+      );
+    }, SYNC_DEBOUNCE_MS);
+  }
+
+  /**
+   * Pull the sync copy into the local history (newest timestamp wins).
+   * @returns {Promise<boolean>} whether the local history changed
+   */
+  async function pullSyncedRecords() {
+    if (!hasSyncStorage() || !getSettings().syncHistory) return false;
+    try {
+      return mergeNewer(caches.reviews, await readSyncedRecords());
+    } catch (e) {
+      console.warn("[ext] Failed to read synced seen games", e);
+      return false;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Load / persist
+  // ---------------------------------------------------------------------------
+
+  function persist(type = "reviews") {
+    forgetSeenIds(type);
+    if (!hasExtensionStorage()) return Promise.resolve();
+    if (type === "reviews") scheduleSyncWrite();
+    return chrome.storage.local
+      .set({
+        [HISTORY_KEYS[type]]: {
+          schemaVersion: SEEN_GAMES_SCHEMA_VERSION,
+          games: [...caches[type].values()],
+        },
+      })
+      .catch((e) => console.warn("[ext] Failed to save seen games", e));
+  }
+
+  const toRecordMap = (records) =>
+    new Map(records.map((rec) => [rec.appId, rec]));
+
+  /**
+   * Load the histories into memory. Must resolve before the synchronous
+   * accessors below return anything useful; repeated calls share one load.
+   *
+   * On first run this moves the old localStorage history into
+   * chrome.storage.local (merging, newest wins) and removes the old copy.
+   *
+   * @returns {Promise<Map<number, SeenRecord>>} the review count history
+   */
+  function loadSeenGames() {
+    if (loading) return loading;
+
+    loading = (async () => {
+      if (!hasExtensionStorage()) return caches.reviews;
+
+      try {
+        const data = await chrome.storage.local.get(
+          Object.values(HISTORY_KEYS)
+        );
+        ["year", "gog"].forEach((type) => {
+          caches[type] = toRecordMap(
+            migrateSeenGames(data[HISTORY_KEYS[type]]).records
+          );
+        });
+
+        const { records, migrated } = migrateSeenGames(data[SEEN_GAMES_KEY]);
+        caches.reviews = toRecordMap(records);
+
+        const legacy = readLegacyLocalStorage();
+        const fromLegacy = mergeNewer(caches.reviews, legacy);
+        const fromSync = await pullSyncedRecords();
+
+        if (migrated || fromLegacy || fromSync) await persist();
+        if (legacy.length) removeLegacyLocalStorage();
+        chrome.storage.local.remove(LEGACY_MIRROR_KEY).catch(() => {});
+      } catch (e) {
+        console.warn("[ext] Failed to load seen games", e);
+      }
+      forgetSeenIds();
+      return caches.reviews;
+    })();
+
+    return loading;
+  }
+
+  // Keep the cache in step with other tabs and extension pages
+  if (hasExtensionStorage() && chrome.storage.onChanged) {
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== "local") return;
+      HISTORY_TYPES.forEach((type) => {
+        const change = changes[HISTORY_KEYS[type]];
+        if (!change) return;
+        caches[type] = toRecordMap(migrateSeenGames(change.newValue).records);
+        forgetSeenIds(type);
+      });
+    });
+  }
+
+  // Turning sync on uploads (and merges) what we have right away
+  if (onSettingsChanged) {
+    onSettingsChanged((settings) => {
+      if (!loading || !settings.syncHistory) return;
+      loading
+        .then(pullSyncedRecords)
+        .then((changed) => (changed ? persist() : scheduleSyncWrite()));
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Synchronous accessors (backed by the in-memory cache)
+  // ---------------------------------------------------------------------------
+
+  // Every accessor takes an optional history type ("reviews" by default):
+  // a question type, or "gog".
+
+  /**
+   * Get all seen games data.
+   * Returns a copy; write changes back with saveSeenGamesData().
+   *
+   * @param {"reviews"|"year"|"gog"} [type]
+   * @returns {Map<number, SeenRecord>}
+   */
+  function getSeenGamesData(type) {
+    return new Map(caches[questionType(type)]);
+  }
+
+  /**
+   * Replace the whole history (import, migration tools, ...).
+   * @param {Map<number, SeenRecord>} map
+   * @param {"reviews"|"year"|"gog"} [type]
+   * @returns {Promise<void>}
+   */
+  function saveSeenGamesData(map, type) {
+    type = questionType(type);
+    caches[type] = new Map(map);
+    return persist(type);
+  }
+
+  /**
+   * Get the set of seen game IDs. The set is shared until the history
+   * changes, so treat it as read-only (copy it before adding to it).
+   *
+   * @param {"reviews"|"year"|"gog"} [type]
+   * @returns {Set<number>}
+   */
+  function getSeenGames(type) {
+    type = questionType(type);
+    if (!seenIdSets[type]) seenIdSets[type] = new Set(caches[type].keys());
+    return seenIdSets[type];
+  }
+
+  /**
+   * The games skipped in any Steam question type. A skip means "not this
+   * game", whichever question it was asked for, so Next leaves it out in
+   * every type. GOG has its own ids and is not included. Shared like
+   * getSeenGames: treat it as read-only.
+   *
+   * @returns {Set<number>}
+   */
+  function getSkippedGames() {
+    if (!skippedIds) {
+      skippedIds = new Set();
+      QUESTION_TYPES.forEach((type) => {
+        caches[type].forEach((rec, id) => {
+          if (rec.skipped) skippedIds.add(id);
+        });
+      });
+    }
+    return skippedIds;
+  }
+
+  /**
+   * One game's record, or null when it was not played.
+   *
+   * @param {number|string} appId
+   * @param {"reviews"|"year"|"gog"} [type]
+   * @returns {SeenRecord|null}
+   */
+  function getSeenRecord(appId, type) {
+    return caches[questionType(type)].get(Number(appId)) || null;
+  }
+
+  /**
+   * Mark a game ID as seen with correctness info and details of the guess.
+   * A game guessed before keeps its first result; the new guess is added
+   * to its attempts instead (see addSeenAttempt).
+   *
+   * @param {number|string} appId
+   * @param {boolean} correct - Whether the guess was correct
+   * @param {Partial<SeenRecord>} [details] - picked, trueCount, options, ...
+   * @param {"reviews"|"year"|"gog"} [type]
+   */
+  function markGameAsSeen(appId, correct, details = {}, type) {
+    const id = Number(appId);
+    if (!Number.isFinite(id)) return;
+    type = questionType(type);
+
+    const cur = caches[type].get(id);
+    if (cur && typeof cur.correct === "boolean") {
+      const { picked, score } = details;
+      addSeenAttempt(id, { correct: Boolean(correct), picked, score }, type);
+      return;
+    }
+
+    caches[type].set(
+      id,
+      toSeenRecord({
+        ...details,
+        appId: id,
+        correct: Boolean(correct),
+        timestamp: Date.now(),
+      })
+    );
+    persist(type);
+  }
+
+  /**
+   * Mark a game as skipped: it joins the history (so Next passes it by)
+   * without a result.
+   *
+   * @param {number|string} appId
+   * @param {Partial<SeenRecord>} [details] - source, durationMs, ...
+   * @param {"reviews"|"year"|"gog"} [type]
+   */
+  function markGameAsSkipped(appId, details = {}, type) {
+    const id = Number(appId);
+    if (!Number.isFinite(id)) return;
+    type = questionType(type);
+    caches[type].set(
+      id,
+      toSeenRecord({
+        ...details,
+        appId: id,
+        correct: null,
+        skipped: true,
+        timestamp: Date.now(),
+      })
+    );
+    persist(type);
+  }
+
+  /**
+   * Add details to an existing record (e.g. the answer to a follow-up
+   * question) without touching its result or timestamp.
+   *
+   * @param {number|string} appId
+   * @param {Partial<SeenRecord>} patch
+   * @param {"reviews"|"year"|"gog"} [type]
+   */
+  function updateSeenRecord(appId, patch, type) {
+    const id = Number(appId);
+    type = questionType(type);
+    const cur = caches[type].get(id);
+    if (!cur) return;
+    caches[type].set(id, toSeenRecord({ ...cur, ...patch, appId: id }));
+    persist(type);
+  }
+
+  /**
+   * Add a later guess to a game's record; its first result, timestamp
+   * and details stay as they are.
+   *
+   * @param {number|string} appId
+   * @param {Partial<SeenAttempt>} attempt - correct, picked, score
+   * @param {"reviews"|"year"|"gog"} [type]
+   */
+  function addSeenAttempt(appId, attempt, type) {
+    const id = Number(appId);
+    type = questionType(type);
+    const cur = caches[type].get(id);
+    if (!cur) return;
+    const next = toSeenAttempt({ timestamp: Date.now(), ...attempt });
+    if (!next) return;
+    caches[type].set(id, { ...cur, attempts: [...cur.attempts, next] });
+    persist(type);
+  }
+
+  /**
+   * Check if a game has been seen before.
+   * @param {number|string} appId
+   * @param {"reviews"|"year"|"gog"} [type]
+   * @returns {boolean}
+   */
+  function hasSeenGame(appId, type) {
+    const id = Number(appId);
+    if (!Number.isFinite(id)) return false;
+    return caches[questionType(type)].has(id);
+  }
+
+  /**
+   * Clear all seen games of one history type from storage.
+   * @param {"reviews"|"year"|"gog"} [type]
+   * @returns {Promise<void>}
+   */
+  function clearSeenGames(type) {
+    type = questionType(type);
+    caches[type] = new Map();
+    return persist(type);
+  }
+
+  // Expose
+  ns.QUESTION_TYPES = QUESTION_TYPES;
+  ns.HISTORY_TYPES = HISTORY_TYPES;
+  ns.toSeenRecord = toSeenRecord;
+  ns.loadSeenGames = loadSeenGames;
+  ns.getSeenGames = getSeenGames;
+  ns.getSkippedGames = getSkippedGames;
+  ns.getSeenGamesData = getSeenGamesData;
+  ns.getSeenRecord = getSeenRecord;
+  ns.saveSeenGamesData = saveSeenGamesData;
+  ns.markGameAsSeen = markGameAsSeen;
+  ns.markGameAsSkipped = markGameAsSkipped;
+  ns.updateSeenRecord = updateSeenRecord;
+  ns.addSeenAttempt = addSeenAttempt;
+  ns.hasSeenGame = hasSeenGame;
+  ns.clearSeenGames = clearSeenGames;
+})(window);
@@ -0,0 +1,250 @@
+(function (root) {
+  const ns = (root.ReviewGuesser = root.ReviewGuesser || {});
+
+  const getSettings = ns.getSettings;
+  const getRecentNavigation = ns.getRecentNavigation;
+  const getNavigationSource = ns.getNavigationSource;
+  const isSteamHomePage = ns.isSteamHomePage;
+
+  // ---------------------------------------------------------------------------
+  // Unavailable games
+  //
+  // App ids that led to Steam's "Oops" page (not sold in this region) or
+  // were redirected to the front page (removed from the store). They are
+  // kept apart from the guess history, so they never count as played, and
+  // the Next buttons skip them.
+  //
+  // Games behind the age check are learned here too, but only skipped
+  // when the age check setting says so (see ageGate.js).
+  // ---------------------------------------------------------------------------
+
+  const UNAVAILABLE_KEY = "reviewGuesser_unavailable";
+
+  /**
+   * @typedef {Object} UnavailableRecord
+   * @property {number} appId
+   * @property {"region"|"delisted"|"mature"} reason
+   * @property {number} timestamp - ms since epoch when we landed there
+   */
+
+  // Consecutive automatic skips before we stop and show the buttons
+  const MAX_AUTO_SKIPS = 5;
+  const AUTO_SKIPS_KEY = "reviewGuesser_autoSkips";
+
+  // A redirect to the front page happens right away; anything slower is
+  // the user navigating there on their own
+  const DELISTED_REDIRECT_MAX_AGE_MS = 30 * 1000;
+
+  /** @type {Map<number, UnavailableRecord>} */
+  let records = new Map();
+  // Built on first use: with and without the mature games
+  let idSets = {};
+  let loading = null;
+
+  function hasExtensionStorage() {
+    return (
+      typeof chrome !== "undefined" &&
+      !!chrome.storage &&
+      !!chrome.storage.local
+    );
+  }
+
+  function setRecords(list) {
+    records = new Map(
+      (Array.isArray(list) ? list : [])
+        .filter((r) => r && Number.isFinite(Number(r.appId)))
+        .map((r) => [Number(r.appId), { ...r, appId: Number(r.appId) }])
+    );
+    idSets = {};
+  }
+
+  /**
+   * Load the unavailable ids into memory; repeated calls share one load.
+   *
+   * @returns {Promise<void>}
+   */
+  function loadUnavailableApps() {
+    if (loading) return loading;
+
+    loading = (async () => {
+      if (!hasExtensionStorage()) return;
+      try {
+        const data = await chrome.storage.local.get(UNAVAILABLE_KEY);
+        setRecords(data[UNAVAILABLE_KEY]);
+      } catch (e) {
+        console.warn("[ext] Failed to load unavailable games", e);
+      }
+    })();
+
+    return loading;
+  }
+
+  if (hasExtensionStorage() && chrome.storage.onChanged) {
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === "local" && changes[UNAVAILABLE_KEY]) {
+        setRecords(changes[UNAVAILABLE_KEY].newValue);
+      }
+    });
+  }
+
+  function persist() {
+    idSets = {};
+    if (!hasExtensionStorage()) return Promise.resolve();
+    return chrome.storage.local
+      .set({ [UNAVAILABLE_KEY]: [...records.values()] })
+      .catch((e) => console.warn("[ext] Failed to save unavailable games", e));
+  }
+
+  /**
+   * The app ids to skip: the unavailable ones, plus the mature ones when
+   * the age check setting excludes them. Shared until the list changes,
+   * so treat it as read-only.
+   *
+   * @returns {Set<number>}
+   */
+  function getUnavailableAppIds() {
+    const withMature = getSettings().ageGate.mode === "exclude";
+    const key = withMature ? "all" : "unavailable";
+    if (!idSets[key]) {
+      idSets[key] = new Set(
+        [...records.values()]
+          .filter((r) => withMature || r.reason !== "mature")
+          .map((r) => r.appId)
+      );
+    }
+    return idSets[key];
+  }
+
+  /**
+   * @param {number|string} appId
+   * @param {"region"|"delisted"|"mature"} reason
+   */
+  function markAppUnavailable(appId, reason) {
+    const id = Number(appId);
+    if (!Number.isFinite(id)) return;
+    const cur = records.get(id);
+    if (cur && cur.reason === reason) return;
+    records.set(id, { appId: id, reason, timestamp: Date.now() });
+    persist();
+  }
+
+  /**
+   * Forget every unavailable id, e.g. after moving to another region.
+   *
+   * @returns {Promise<void>}
+   */
+  function clearUnavailableApps() {
+    records = new Map();
+    return persist();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Landing on an unavailable game
+  // ---------------------------------------------------------------------------
+
+  /**
+   * The app id Steam just redirected to its front page, or null. Only
+   * ids we navigated to ourselves count, and only when the front page
+   * was reached through a redirect (not by clicking the Steam logo).
+   *
+   * @returns {number|null}
+   */
+  function getDelistedRedirectAppId() {
+    if (!isSteamHomePage()) return null;
+
+    const nav = getRecentNavigation(DELISTED_REDIRECT_MAX_AGE_MS);
+    if (!nav) return null;
+
+    const entry = performance.getEntriesByType?.("navigation")[0];
+    if (!entry || !entry.redirectCount) return null;
+
+    return nav.appId;
+  }
+
+  function readAutoSkips() {
+    try {
+      return Number(sessionStorage.getItem(AUTO_SKIPS_KEY)) || 0;
+    } catch (e) {
+      return 0;
+    }
+  }
+
+  function writeAutoSkips(n) {
+    try {
+      if (n) sessionStorage.setItem(AUTO_SKIPS_KEY, String(n));
+      else sessionStorage.removeItem(AUTO_SKIPS_KEY);
+    } catch (e) {
+      // ignore – the limit then only holds within this page
+    }
+  }
+
+  /**
+   * An available game was reached; the next dead one starts a new streak.
+   */
+  function resetAutoSkips() {
+    if (readAutoSkips()) writeAutoSkips(0);
+  }
+
+  // main.js calls handleUnavailableApp on every DOM change
+  let handledAppId = null;
+  let advancing = false;
+
+  /**
+   * Remember an unavailable game and move on: a daily or run game is
+   * skipped there, and with "skip unavailable games" on, a game opened by
+   * Next (Raw/Balanced) is replaced right away, up to MAX_AUTO_SKIPS in a
+   * row.
+   *
+   * @param {number|string} appId
+   * @param {"region"|"delisted"|"mature"} reason
+   * @param {{autoSkip?: boolean}} [options] - autoSkip: replace the game
+   *   regardless of the setting
+   * @returns {boolean} whether we are already on our way to another game
+   *   (no need to show the Next buttons)
+   */
+  function handleUnavailableApp(appId, reason, options = {}) {
+    const id = Number(appId);
+    if (!Number.isFinite(id)) return false;
+    if (handledAppId === id) return advancing;
+    handledAppId = id;
+
+    markAppUnavailable(id, reason);
+
+    // A region-locked or delisted daily game can't be played; let the
+    // daily move on. A mature one can, past the age check, and the daily
+    // has to stay the same for everyone.
+    if (reason !== "mature" && ns.skipUnavailableDailyGame) {
+      ns.skipUnavailableDailyGame(id);
+    }
+    // ...and a run game is swapped for another one
+    ns.skipRunGame && ns.skipRunGame(id);
+
+    const source = getNavigationSource(id);
+    const autoSkip = options.autoSkip ?? getSettings().autoSkipUnavailable;
+    if (!autoSkip) return false;
+    if (source !== "pure" && source !== "smart") return false;
+
+    const skips = readAutoSkips();
+    if (skips >= MAX_AUTO_SKIPS) {
+      console.warn(
+        `[ext] ${skips} unavailable games in a row; not skipping any further`
+      );
+      writeAutoSkips(0);
+      return false;
+    }
+
+    writeAutoSkips(skips + 1);
+    advancing = true;
+    ns.navigateToRandomApp(source);
+    return true;
+  }
+
+  // Expose
+  ns.loadUnavailableApps = loadUnavailableApps;
+  ns.getUnavailableAppIds = getUnavailableAppIds;
+  ns.markAppUnavailable = markAppUnavailable;
+  ns.clearUnavailableApps = clearUnavailableApps;
+  ns.getDelistedRedirectAppId = getDelistedRedirectAppId;
+  ns.resetAutoSkips = resetAutoSkips;
+  ns.handleUnavailableApp = handleUnavailableApp;
+})(window);
@@ -72,101 +72,98 @@
     return s.replace(/\B(?=(\d{3})+(?!\d))/g, " ");
   }
 
+  /**
+   * Resolve a path inside the extension (e.g. "data/Batch_1.csv") to a
+   * fetchable URL, from content scripts and extension pages alike.
+   *
+   * @param {string} relativePath
+   * @returns {string}
+   */
+  function getExtensionUrl(relativePath) {
+    return typeof chrome !== "undefined" &&
+      chrome.runtime &&
+      chrome.runtime.getURL
+      ? chrome.runtime.getURL(relativePath)
+      : relativePath;
+  }
+
   // ---------------------------------------------------------------------------
-  // Seen Games Storage (localStorage)
+  // Navigation source (sessionStorage, survives same-tab navigation)
   // ---------------------------------------------------------------------------
 
-  const SEEN_GAMES_KEY = "reviewGuesser_seenGames";
+  const NAV_SOURCE_KEY = "reviewGuesser_navSource";
+
+  // Ignore a remembered source that is older than this
+  const NAV_SOURCE_MAX_AGE_MS = 10 * 60 * 1000;
 
   /**
-   * Get all seen games data from localStorage.
-   * @returns {Map<number, {appId: number, correct: boolean, timestamp: number|null}>}
+   * Remember which route (Next mode etc.) is about to open an app page.
+   *
+   * @param {number|string} appId
+   * @param {string} source - e.g. "pure", "smart"
    */
-  function getSeenGamesData() {
+  function rememberNavigationSource(appId, source) {
     try {
-      const data = localStorage.getItem(SEEN_GAMES_KEY);
-      if (!data) return new Map();
-      const arr = JSON.parse(data);
-      const map = new Map();
-      
-      for (const item of arr) {
-        // Handle both old format (just numbers) and new format (objects)
-        if (typeof item === "number") {
-          map.set(item, { appId: item, correct: null, timestamp: null });
-        } else if (item && typeof item === "object" && Number.isFinite(item.appId)) {
-          map.set(item.appId, { 
-            appId: item.appId, 
-            correct: item.correct,
-            timestamp: item.timestamp || null
-          });
-        }
-      }
-      return map;
+      sessionStorage.setItem(
+        NAV_SOURCE_KEY,
+        JSON.stringify({ appId: Number(appId), source, at: Date.now() })
+      );
     } catch (e) {
-      console.warn("[ext] Failed to read seen games from storage", e);
-      return new Map();
+      console.warn("[ext] Failed to remember navigation source", e);
     }
   }
 
   /**
-   * Get the set of seen game IDs from localStorage.
-   * @returns {Set<number>}
-   */
-  function getSeenGames() {
-    const data = getSeenGamesData();
-    return new Set(data.keys());
-  }
-
-  /**
-   * Mark a game ID as seen with correctness info (store in localStorage).
-   * @param {number|string} appId
-   * @param {boolean} correct - Whether the guess was correct
+   * The navigation remembered last in this tab, unless it is too old.
+   *
+   * @param {number} [maxAgeMs]
+   * @returns {{appId: number, source: string, at: number}|null}
    */
-  function markGameAsSeen(appId, correct) {
+  function getRecentNavigation(maxAgeMs = NAV_SOURCE_MAX_AGE_MS) {
     try {
-      const id = Number(appId);
-      if (!Number.isFinite(id)) return;
-      const seen = getSeenGamesData();
-      seen.set(id, { 
-        appId: id, 
-        correct: Boolean(correct),
-        timestamp: Date.now()
-      });
-      localStorage.setItem(SEEN_GAMES_KEY, JSON.stringify([...seen.values()]));
+      const nav = JSON.parse(sessionStorage.getItem(NAV_SOURCE_KEY) || "null");
+      if (nav && Date.now() - nav.at < maxAgeMs) return nav;
     } catch (e) {
-      console.warn("[ext] Failed to save seen game to storage", e);
+      // fall through
     }
+    return null;
   }
 
   /**
-   * Check if a game has been seen before.
+   * How we got to this app page: the remembered source when it matches
+   * the app id, otherwise "direct".
+   *
    * @param {number|string} appId
-   * @returns {boolean}
+   * @returns {string}
    */
-  function hasSeenGame(appId) {
-    const id = Number(appId);
-    if (!Number.isFinite(id)) return false;
-    return getSeenGames().has(id);
+  function getNavigationSource(appId) {
+    const nav = getRecentNavigation();
+    return nav && nav.appId === Number(appId) ? nav.source : "direct";
   }
 
   /**
-   * Clear all seen games from storage.
+   * Whether a key press is aimed at something the user types into
+   * (Steam's search box, our text guess, ...), so hotkeys stay out of it.
+   *
+   * @param {EventTarget|null} target
+   * @returns {boolean}
    */
-  function clearSeenGames() {
-    try {
-      localStorage.removeItem(SEEN_GAMES_KEY);
-    } catch (e) {
-      console.warn("[ext] Failed to clear seen games", e);
-    }
+  function isEditableTarget(target) {
+    if (!target || !target.tagName) return false;
+    if (target.isContentEditable) return true;
+    const tag = target.tagName.toLowerCase();
+    if (tag === "textarea" || tag === "select") return true;
+    return tag === "input" && !["button", "checkbox", "radio", "range"]
+      .includes((target.type || "").toLowerCase());
   }
 
   // Expose on namespace
   ns.normalizeSpaces = normalizeSpaces;
   ns.parseReviewCountRaw = parseReviewCountRaw;
   ns.formatNum = formatNum;
-  ns.getSeenGames = getSeenGames;
-  ns.getSeenGamesData = getSeenGamesData;
-  ns.markGameAsSeen = markGameAsSeen;
-  ns.hasSeenGame = hasSeenGame;
-  ns.clearSeenGames = clearSeenGames;
+  ns.getExtensionUrl = getExtensionUrl;
+  ns.rememberNavigationSource = rememberNavigationSource;
+  ns.getRecentNavigation = getRecentNavigation;
+  ns.getNavigationSource = getNavigationSource;
+  ns.isEditableTarget = isEditableTarget;
 })(window);
@@ -0,0 +1,396 @@
+#!/usr/bin/env node
+/**
+ * Rebuild data/released_appids.csv (Next (Raw)) and the tier files
+ * data/Batch_1.csv .. data/Batch_6.csv (Next (Balanced)) from a locally
+ * saved Steam app list, then print what changed.
+ *
+ * Usage:
+ *   node tools/build-app-lists.js <applist.json> [--reviews <file>]...
+ *     [--tiers 50,200,1000,5000,20000] [--dry-run] [--force]
+ *
+ * The app list must say which apps are games, as only games go in the
+ * lists. Either IStoreService/GetAppList fetched with include_games=true
+ * and none of the other include_* flags (it only lists games then):
+ *   { "response": { "apps": [{ "appid": 620, "name": "Portal 2" }] } }
+ * or apps with a "type", in an ISteamApps/GetAppList/v2 style wrapper or
+ * a plain array:
+ *   { "applist": { "apps": [{ "appid": 620, "name": "Portal 2", "type": "game" }] } }
+ * The plain ISteamApps/GetAppList/v2 list has no types (DLC, soundtracks
+ * and tools look like games) and is refused. Apps without a name are
+ * skipped, as are apps whose type is not "game".
+ *
+ * --reviews (repeatable) takes review counts, either a CSV of
+ * "appId,reviews[,...]" lines or a SteamSpy or appreviews JSON dump.
+ * Later files win.
+ *
+ * Tiering: a game goes to Batch_N by its total review count, with the
+ * five --tiers thresholds as lower bounds of Batch_2 .. Batch_6:
+ *
+ *   Batch_1     0 –    49 reviews   (the long tail, most of the store)
+ *   Batch_2    50 –   199
+ *   Batch_3   200 –   999
+ *   Batch_4  1000 –  4999
+ *   Batch_5  5000 – 19999
+ *   Batch_6 20000 +                 (the well-known games)
+ *
+ * Next (Balanced) first picks a batch uniformly, so each tier is as
+ * likely as any other no matter its size. Games without a known count
+ * keep the batch they are in now; new ones go to Batch_1.
+ *
+ * Nothing is written unless --force is given when
+ *   - the list would drop more than half of the released games (most
+ *     likely a partial or wrong dump), or
+ *   - games without a known count are in more than one batch now, so
+ *     their tier is a guess (--force keeps the highest one).
+ * --dry-run only prints the report and writes nothing at all.
+ *
+ * The data files are also made sure to be listed under
+ * web_accessible_resources in manifest.json.
+ */
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.resolve(__dirname, "..");
+const DATA_DIR = path.join(ROOT, "data");
+const RELEASED_FILE = "data/released_appids.csv";
+const MANIFEST_PATH = path.join(ROOT, "manifest.json");
+
+// Keep in step with BATCH_FILES in src/nextGame.js
+const BATCH_COUNT = 6;
+const BATCH_FILES = Array.from(
+  { length: BATCH_COUNT },
+  (_, i) => `data/Batch_${i + 1}.csv`
+);
+const DEFAULT_TIERS = [50, 200, 1000, 5000, 20000];
+
+// How many ids of each kind the report lists before "..."
+const REPORT_SAMPLE = 20;
+
+// Refuse (without --force) a list keeping less than this share of the
+// released games, once there are enough of them to tell
+const MIN_KEPT_SHARE = 0.5;
+const MIN_CHECKED_SIZE = 100;
+
+const USAGE =
+  "Usage: node tools/build-app-lists.js <applist.json> " +
+  "[--reviews <file>]... [--tiers 50,200,1000,5000,20000] " +
+  "[--dry-run] [--force]";
+
+/**
+ * @returns {{input: string|null, reviews: string[], tiers: string|null, dryRun: boolean, force: boolean, error: string|null}}
+ */
+function parseArgs(argv) {
+  const args = {
+    input: null,
+    reviews: [],
+    tiers: null,
+    dryRun: false,
+    force: false,
+    error: null,
+  };
+  for (let i = 0; i < argv.length && !args.error; i++) {
+    const arg = argv[i];
+    if (arg === "--reviews" || arg === "--tiers") {
+      const value = argv[++i];
+      if (value == null) args.error = `${arg} needs a value`;
+      else if (arg === "--reviews") args.reviews.push(value);
+      else args.tiers = value;
+    } else if (arg === "--dry-run") args.dryRun = true;
+    else if (arg === "--force") args.force = true;
+    // A mistyped --dry-run must not end up writing the files
+    else if (arg.startsWith("-")) args.error = `Unknown option ${arg}`;
+    else if (!args.input) args.input = arg;
+    else args.error = `Unexpected argument ${arg}`;
+  }
+  return args;
+}
+
+function readIdList(file) {
+  if (!fs.existsSync(file)) return new Set();
+  return new Set(
+    fs
+      .readFileSync(file, "utf8")
+      .split(/\r?\n/)
+      .map((s) => s.trim())
+      .filter((s) => /^\d+$/.test(s))
+      .map(Number)
+  );
+}
+
+function writeIdList(file, ids) {
+  const sorted = [...ids].sort((a, b) => a - b);
+  fs.writeFileSync(file, sorted.join("\n") + "\n");
+}
+
+/**
+ * Released game ids from an app list dump. IStoreService lists are
+ * games only (see the top of the file); anywhere else every app needs
+ * a type.
+ *
+ * @returns {{ids: Set<number>, untyped: number}} untyped - apps that
+ *   were left out for having no type
+ */
+function readAppList(file) {
+  const dump = JSON.parse(fs.readFileSync(file, "utf8"));
+  const storeService = !Array.isArray(dump) && !!dump.response;
+  const apps = Array.isArray(dump)
+    ? dump
+    : (dump.applist || dump.response || {}).apps || [];
+
+  const ids = new Set();
+  let untyped = 0;
+  for (const app of apps) {
+    const appId = Number(app && app.appid);
+    if (!Number.isInteger(appId) || appId <= 0) continue;
+    if (!String(app.name || "").trim()) continue;
+    if (app.type == null && !storeService) {
+      untyped++;
+      continue;
+    }
+    const type = app.type == null ? "game" : String(app.type).toLowerCase();
+    if (type !== "game") continue;
+    ids.add(appId);
+  }
+  return { ids, untyped };
+}
+
+/**
+ * Review count of one JSON dump entry: an appreviews response
+ * (query_summary.total_reviews) or a SteamSpy entry (positive + negative).
+ *
+ * @returns {[number, number]|null} [appId, reviews]
+ */
+function readReviewEntry(key, raw) {
+  const entry =
+    raw && raw.data && typeof raw.data === "object" ? raw.data : raw;
+  if (!entry || typeof entry !== "object") return null;
+
+  const appId = Number(entry.appid ?? entry.steam_appid ?? key);
+  if (!Number.isFinite(appId)) return null;
+
+  let reviews = null;
+  if (entry.query_summary && entry.query_summary.total_reviews != null) {
+    reviews = Number(entry.query_summary.total_reviews);
+  } else if (entry.positive != null || entry.negative != null) {
+    reviews = Number(entry.positive || 0) + Number(entry.negative || 0);
+  }
+  if (!Number.isFinite(reviews)) return null;
+
+  return [appId, reviews];
+}
+
+/**
+ * Review counts from a CSV (appId,reviews,...) or a JSON dump.
+ *
+ * @param {string} file
+ * @param {Map<number, number>} into - appId -> reviews
+ */
+function readReviews(file, into) {
+  const text = fs.readFileSync(file, "utf8");
+
+  if (/\.csv$/i.test(file)) {
+    text.split(/\r?\n/).forEach((line) => {
+      const m = /^(\d+),(\d+)(?:,|$)/.exec(line.trim());
+      if (m) into.set(Number(m[1]), Number(m[2]));
+    });
+    return;
+  }
+
+  const dump = JSON.parse(text);
+  const entries = Array.isArray(dump)
+    ? dump.map((v) => [null, v])
+    : Object.entries(dump);
+  for (const [key, raw] of entries) {
+    const e = readReviewEntry(key, raw);
+    if (e) into.set(e[0], e[1]);
+  }
+}
+
+/**
+ * 0-based batch index for a review count.
+ *
+ * @param {number} reviews
+ * @param {number[]} tiers - ascending lower bounds of Batch_2 .. Batch_6
+ */
+function tierOf(reviews, tiers) {
+  let i = 0;
+  while (i < tiers.length && reviews >= tiers[i]) i++;
+  return i;
+}
+
+function sample(ids) {
+  const sorted = [...ids].sort((a, b) => a - b);
+  const shown = sorted.slice(0, REPORT_SAMPLE).join(", ");
+  return sorted.length > REPORT_SAMPLE ? shown + ", ..." : shown;
+}
+
+function reportChange(label, before, after) {
+  const added = [...after].filter((id) => !before.has(id));
+  const removed = [...before].filter((id) => !after.has(id));
+  console.log(
+    `${label}: ${before.size} -> ${after.size}` +
+      ` (+${added.length} -${removed.length})`
+  );
+  if (added.length) console.log(`  added:   ${sample(added)}`);
+  if (removed.length) console.log(`  removed: ${sample(removed)}`);
+}
+
+/**
+ * Make sure the data files are web accessible. Only the "resources" array
+ * is rewritten, so the rest of the manifest keeps its formatting.
+ *
+ * @returns {string[]} the files that had to be added
+ */
+function updateManifest(files, dryRun) {
+  const text = fs.readFileSync(MANIFEST_PATH, "utf8");
+  const manifest = JSON.parse(text);
+  const entry = (manifest.web_accessible_resources || []).find((e) =>
+    (e.resources || []).includes(RELEASED_FILE)
+  );
+  if (!entry) {
+    console.warn(
+      `manifest.json: no web_accessible_resources entry lists ${RELEASED_FILE}`
+    );
+    return [];
+  }
+
+  const missing = files.filter((f) => !entry.resources.includes(f));
+  if (!missing.length || dryRun) return missing;
+
+  // All of them where the released list is now, in order
+  const rest = entry.resources.filter((f) => !files.includes(f));
+  const at = entry.resources
+    .slice(0, entry.resources.indexOf(RELEASED_FILE))
+    .filter((f) => !files.includes(f)).length;
+  const resources = [...rest.slice(0, at), ...files, ...rest.slice(at)];
+
+  const list = resources.map((f) => "        " + JSON.stringify(f)).join(",\n");
+  const next = text.replace(
+    /"resources":\s*\[[^\]]*\]/g,
+    (block) =>
+      block.includes(JSON.stringify(RELEASED_FILE))
+        ? `"resources": [\n${list}\n      ]`
+        : block
+  );
+  fs.writeFileSync(MANIFEST_PATH, next);
+  return missing;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.error || !args.input) {
+    if (args.error) console.error(args.error);
+    console.error(USAGE);
+    process.exit(1);
+  }
+  const tiers = args.tiers ? args.tiers.split(",").map(Number) : DEFAULT_TIERS;
+  if (
+    tiers.length !== BATCH_COUNT - 1 ||
+    tiers.some((t, i) => !Number.isFinite(t) || (i && t <= tiers[i - 1]))
+  ) {
+    console.error(`--tiers needs ${BATCH_COUNT - 1} ascending numbers`);
+    process.exit(1);
+  }
+
+  const { ids: released, untyped } = readAppList(args.input);
+  if (untyped) {
+    console.error(
+      `${untyped} apps in ${args.input} have no type, so games can't be ` +
+        "told apart from DLC, soundtracks and tools; nothing written.\n" +
+        "Save IStoreService/GetAppList with include_games=true instead, " +
+        'or give every app a "type".'
+    );
+    process.exit(1);
+  }
+  if (!released.size) {
+    console.error(`No games found in ${args.input}; nothing written.`);
+    process.exit(1);
+  }
+
+  const reviews = new Map();
+  args.reviews.forEach((file) => readReviews(file, reviews));
+
+  const oldReleased = readIdList(path.join(ROOT, RELEASED_FILE));
+  const oldBatches = BATCH_FILES.map((f) => readIdList(path.join(ROOT, f)));
+  // Later (higher) batches win for ids listed in more than one
+  const oldTier = new Map();
+  const duplicated = new Set();
+  oldBatches.forEach((ids, i) =>
+    ids.forEach((id) => {
+      if (oldTier.has(id)) duplicated.add(id);
+      oldTier.set(id, i);
+    })
+  );
+
+  const batches = BATCH_FILES.map(() => new Set());
+  let counted = 0;
+  for (const id of released) {
+    let tier = oldTier.get(id) ?? 0;
+    if (reviews.has(id)) {
+      tier = tierOf(reviews.get(id), tiers);
+      counted++;
+    }
+    batches[tier].add(id);
+  }
+
+  console.log(
+    `${released.size} games, ${counted} with a review count` +
+      (args.dryRun ? " (dry run, nothing written)" : "")
+  );
+  reportChange(path.basename(RELEASED_FILE), oldReleased, released);
+  BATCH_FILES.forEach((f, i) =>
+    reportChange(path.basename(f), oldBatches[i], batches[i])
+  );
+
+  const problems = [];
+  const shrunk =
+    oldReleased.size >= MIN_CHECKED_SIZE &&
+    released.size < oldReleased.size * MIN_KEPT_SHARE;
+  if (shrunk) {
+    problems.push(
+      `${args.input} has ${released.size} of the ${oldReleased.size} ` +
+        "released games; is the list complete?"
+    );
+  }
+  // A review count settles the tier; without one the old batch is a guess
+  const unsettled = [...duplicated].filter(
+    (id) => released.has(id) && !reviews.has(id)
+  );
+  if (duplicated.size) {
+    console.log(`In more than one batch now: ${duplicated.size}`);
+    console.log(`  ${sample(duplicated)}`);
+  }
+  if (unsettled.length) {
+    problems.push(
+      `${unsettled.length} games without a review count are in more than ` +
+        "one batch; pass their counts with --reviews, or --force keeps " +
+        "each in its highest batch."
+    );
+  }
+  if (problems.length && !args.force) {
+    if (args.dryRun) {
+      problems.forEach((msg) =>
+        console.log(`${msg} Without --force it would not be written.`)
+      );
+    } else {
+      problems.forEach((msg) => console.error(msg));
+      console.error("Nothing written (--force writes it anyway).");
+      process.exit(1);
+    }
+  }
+
+  const missing = updateManifest([RELEASED_FILE, ...BATCH_FILES], args.dryRun);
+  if (missing.length) {
+    const verb = args.dryRun ? "would list" : "listed";
+    console.log(`manifest.json: ${verb} ${missing.join(", ")}`);
+  }
+
+  if (args.dryRun) return;
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  writeIdList(path.join(ROOT, RELEASED_FILE), released);
+  BATCH_FILES.forEach((f, i) => writeIdList(path.join(ROOT, f), batches[i]));
+}
+
+main();